@@ -0,0 +1,194 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var URL = require("url");
+var parseConfig = require("./parse-config");
+var readBody = require("./read-body");
+
+// Requests to paths under this are answered by the admin API instead of
+// being replayed
+var ADMIN_PATH = "/__replay/";
+var MAX_RECENT_MISSES = 100;
+
+exports = module.exports = Admin;
+exports.PATH = ADMIN_PATH;
+
+/**
+ * HTTP API to inspect and control a running ReplayServer:
+ *
+ *  GET  entries  The loaded entries with their hit counts
+ *  GET  stats    Request, match and miss counts, and the most recent misses
+ *  PUT  har      Serve the HAR in the request body instead
+ *  PUT  config   Use the config in the request body instead
+ *  POST reset    Start sequences over and zero the counters
+ *
+ * @param {ReplayServer} replayServer
+ * @param {function(string): Object} [loadConfig] Loads config text, like
+ *        parse-config, e.g. with the overrides of the command line
+ */
+function Admin(replayServer, loadConfig) {
+    var self = this;
+    this.replayServer = replayServer;
+    this.loadConfig = loadConfig || parseConfig;
+    this.resetCounters();
+
+    replayServer.on("request", function () {
+        self.requests++;
+    });
+    replayServer.on("match", function (request, entry) {
+        self.matches++;
+        var index = replayServer.getEntries().indexOf(entry);
+        if (index !== -1) {
+            self.hits[index] = (self.hits[index] || 0) + 1;
+        }
+    });
+    replayServer.on("miss", function (request) {
+        self.misses++;
+        self.recentMisses.push({
+            time: new Date().toISOString(),
+            method: request.method,
+            url: request.url
+        });
+        if (self.recentMisses.length > MAX_RECENT_MISSES) {
+            self.recentMisses.shift();
+        }
+    });
+    replayServer.on("har", function () {
+        self.resetCounters();
+    });
+}
+
+Admin.prototype.resetCounters = function () {
+    this.requests = 0;
+    this.matches = 0;
+    this.misses = 0;
+    this.hits = {};
+    this.recentMisses = [];
+};
+
+/**
+ * @param  {http.IncomingMessage} request
+ * @return {boolean} Whether the request is for the admin API
+ */
+Admin.prototype.handles = function (request) {
+    return URL.parse(request.url).pathname.indexOf(ADMIN_PATH) === 0;
+};
+
+/**
+ * Request listener for the admin API on the proxy port, which can listen on
+ * every interface. As the API can map URLs to any local file, it only
+ * answers requests from this machine there.
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+Admin.prototype.handleLocal = function (request, response) {
+    if (!isLoopback(request.socket.remoteAddress)) {
+        send(response, 403, {error: "The admin API only answers requests from this machine"});
+        return;
+    }
+    this.handle(request, response);
+};
+
+/**
+ * Request listener for the admin API. Paths are relative to ADMIN_PATH, and
+ * may also be requested from the root when the API has its own port.
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+Admin.prototype.handle = function (request, response) {
+    var self = this;
+    var pathname = URL.parse(request.url).pathname;
+    var action = (pathname.indexOf(ADMIN_PATH) === 0 ? pathname.slice(ADMIN_PATH.length) : pathname.slice(1)).replace(/\/$/, "");
+    var method = request.method;
+
+    if (method === "GET" && action === "entries") {
+        send(response, 200, this.listEntries());
+    } else if (method === "GET" && action === "stats") {
+        send(response, 200, this.getStats());
+    } else if (method === "POST" && action === "reset") {
+        this.reset();
+        send(response, 200, {reset: true});
+    } else if ((method === "PUT" || method === "POST") && (action === "har" || action === "config")) {
+        readBody(request, function (body) {
+            try {
+                if (action === "har") {
+                    self.replayServer.setHar(JSON.parse(body.toString("utf8")));
+                    send(response, 200, {entries: self.replayServer.getEntries().length});
+                } else {
+                    self.replayServer.setConfig(self.loadConfig(body.toString("utf8")));
+                    send(response, 200, {config: true});
+                }
+            } catch (e) {
+                send(response, 400, {error: "Could not load " + action + ": " + e.message});
+            }
+        });
+    } else {
+        send(response, 404, {error: "Unknown admin request: " + method + " " + pathname});
+    }
+};
+
+/**
+ * @return {Array<Object>} A summary of each loaded entry
+ */
+Admin.prototype.listEntries = function () {
+    var hits = this.hits;
+    return this.replayServer.getEntries().map(function (entry, index) {
+        return {
+            index: index,
+            method: entry.request.method,
+            url: entry.request.url,
+            status: entry.response.status,
+            hits: hits[index] || 0
+        };
+    });
+};
+
+/**
+ * @return {Object} Counters since the last reset
+ */
+Admin.prototype.getStats = function () {
+    var hits = this.hits;
+    return {
+        entries: this.replayServer.getEntries().length,
+        requests: this.requests,
+        matches: this.matches,
+        misses: this.misses,
+        unusedEntries: this.replayServer.getEntries().filter(function (entry, index) {
+            return !hits[index];
+        }).length,
+        recentMisses: this.recentMisses
+    };
+};
+
+/**
+ * Starts every sequence over and zeroes the counters.
+ */
+Admin.prototype.reset = function () {
+    this.replayServer.resetSequences();
+    this.resetCounters();
+};
+
+function isLoopback(address) {
+    return /^(127\.|::1$|::ffff:127\.)/.test(address || "");
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        "content-type": "application/json",
+        "cache-control": "no-cache, no-store, must-revalidate"
+    });
+    response.end(JSON.stringify(body, null, 2));
+}
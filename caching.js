@@ -0,0 +1,116 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var harContent = require("./content");
+
+// "prevent" serves every response as uncacheable, and recorded 304s as 200,
+// so the browser always asks again. "faithful" keeps the recorded caching
+// headers and answers conditional requests with 304 like the server did
+var MODES = ["prevent", "faithful"];
+
+// Headers a 304 carries that update the stored response, RFC 7232 4.1
+var UPDATED_HEADERS = ["cache-control", "content-location", "date", "etag", "expires", "last-modified", "vary"];
+
+exports.MODES = MODES;
+
+/**
+ * Resolves a recorded 304 to the full response of the 200 entry for the
+ * same method and URL, the last one recorded before it if there are several,
+ * updated with the headers of the 304.
+ * @param  {Array<Object>} entries
+ * @param  {Object} entry A recorded 304 entry that matched the request
+ * @return {Object} An entry with the 200 response, or `entry` if none was
+ *         recorded
+ */
+exports.resolve = function (entries, entry) {
+    var started = Date.parse(entry.startedDateTime);
+    var before = null;
+    var after = null;
+    entries.forEach(function (other) {
+        if (other.request.method !== entry.request.method || other.request.url !== entry.request.url ||
+                other.response.status !== 200 || other.response._error) {
+            return;
+        }
+        var otherStarted = Date.parse(other.startedDateTime);
+        if (isNaN(started) || isNaN(otherStarted) || otherStarted <= started) {
+            var beforeStarted = before ? Date.parse(before.startedDateTime) : NaN;
+            if (!before || isNaN(beforeStarted) || isNaN(otherStarted) || beforeStarted <= otherStarted) {
+                before = other;
+            }
+        } else if (!after) {
+            after = other;
+        }
+    });
+    var full = before || after;
+    if (!full) {
+        return entry;
+    }
+
+    var updated = entry.response.headers.filter(function (h) {
+        return UPDATED_HEADERS.indexOf(h.name.toLowerCase()) !== -1;
+    });
+    var names = updated.map(function (h) {
+        return h.name.toLowerCase();
+    });
+    return {
+        request: entry.request,
+        response: {
+            status: 200,
+            statusText: full.response.statusText,
+            headers: full.response.headers.filter(function (h) {
+                return names.indexOf(h.name.toLowerCase()) === -1;
+            }).concat(updated),
+            content: full.response.content
+        },
+        timings: full.timings,
+        _harFile: full._harFile,
+        _layer: full._layer
+    };
+};
+
+/**
+ * Evaluates If-None-Match, or else If-Modified-Since, against the recorded
+ * validators of a response.
+ * @param  {http.IncomingMessage} request
+ * @param  {Object} entryResponse
+ * @return {boolean} Whether to answer 304 Not Modified
+ */
+exports.isNotModified = function (request, entryResponse) {
+    var headers = request.headers || {};
+    if (!/^(GET|HEAD)$/i.test(request.method || "GET") || (entryResponse.status !== 200 && entryResponse.status !== 304)) {
+        return false;
+    }
+
+    var ifNoneMatch = headers["if-none-match"];
+    if (ifNoneMatch) {
+        var etag = harContent.header(entryResponse, "etag");
+        if (ifNoneMatch.trim() === "*") {
+            return true;
+        }
+        // Weak comparison, so W/"a" matches "a"
+        return !!etag && ifNoneMatch.split(",").some(function (tag) {
+            return opaqueTag(tag) === opaqueTag(etag);
+        });
+    }
+
+    var ifModifiedSince = Date.parse(headers["if-modified-since"]);
+    var lastModified = Date.parse(harContent.header(entryResponse, "last-modified"));
+    return !isNaN(ifModifiedSince) && !isNaN(lastModified) && lastModified <= ifModifiedSince;
+};
+
+function opaqueTag(tag) {
+    return tag.trim().replace(/^W\//, "");
+}
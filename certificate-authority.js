@@ -0,0 +1,155 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var net = require("net");
+var tls = require("tls");
+var PATH = require("path");
+var crypto = require("crypto");
+var forge = require("node-forge");
+var pki = forge.pki;
+
+var CA_CERT_FILE = "ca-cert.pem";
+var CA_KEY_FILE = "ca-key.pem";
+var CA_COMMON_NAME = "har-replay-proxy CA";
+var ONE_DAY = 24 * 60 * 60 * 1000;
+
+exports = module.exports = CertificateAuthority;
+
+/**
+ * Issues certificates for the hosts the proxy intercepts, signed by a local
+ * CA certificate that the browser has to be told to trust.
+ * @param {string} keyPem  PEM encoded CA private key
+ * @param {string} certPem PEM encoded CA certificate
+ */
+function CertificateAuthority(keyPem, certPem) {
+    this.key = pki.privateKeyFromPem(keyPem);
+    this.cert = pki.certificateFromPem(certPem);
+    this.keyPem = keyPem;
+    this.certPem = certPem;
+    // All host certificates share one key, generating a key per host is slow
+    this._hostKeys = null;
+    this._contexts = {};
+}
+
+/**
+ * Creates a new CA with a freshly generated key.
+ * @return {CertificateAuthority}
+ */
+exports.generate = function () {
+    var keys = pki.rsa.generateKeyPair({bits: 2048});
+    var cert = pki.createCertificate();
+    cert.publicKey = keys.publicKey;
+    cert.serialNumber = randomSerialNumber();
+    cert.validity.notBefore = new Date(Date.now() - ONE_DAY);
+    cert.validity.notAfter = new Date(Date.now() + 10 * 365 * ONE_DAY);
+
+    var attrs = [
+        {name: "commonName", value: CA_COMMON_NAME},
+        {name: "organizationName", value: "har-replay-proxy"}
+    ];
+    cert.setSubject(attrs);
+    cert.setIssuer(attrs);
+    cert.setExtensions([
+        {name: "basicConstraints", cA: true, critical: true},
+        {name: "keyUsage", keyCertSign: true, cRLSign: true, digitalSignature: true, critical: true},
+        {name: "subjectKeyIdentifier"}
+    ]);
+    cert.sign(keys.privateKey, forge.md.sha256.create());
+
+    return new CertificateAuthority(pki.privateKeyToPem(keys.privateKey), pki.certificateToPem(cert));
+};
+
+/**
+ * Loads the CA from `dir`, generating and saving a new one if the directory
+ * does not contain one yet. Reusing the CA means the browser only has to be
+ * told to trust it once.
+ * @param  {string} dir
+ * @return {CertificateAuthority}
+ */
+exports.loadOrGenerate = function (dir) {
+    var keyPath = PATH.join(dir, CA_KEY_FILE);
+    var certPath = PATH.join(dir, CA_CERT_FILE);
+    if (fs.existsSync(keyPath) && fs.existsSync(certPath)) {
+        return new CertificateAuthority(fs.readFileSync(keyPath, "utf8"), fs.readFileSync(certPath, "utf8"));
+    }
+
+    var ca = exports.generate();
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir);
+    }
+    fs.writeFileSync(keyPath, ca.keyPem, {mode: 384 /* 0600 */});
+    fs.writeFileSync(certPath, ca.certPem);
+    return ca;
+};
+
+/**
+ * Returns a PEM encoded certificate for `hostname`, signed by this CA.
+ * @param  {string} hostname
+ * @return {{key: string, cert: string}}
+ */
+CertificateAuthority.prototype.issue = function (hostname) {
+    if (!this._hostKeys) {
+        this._hostKeys = pki.rsa.generateKeyPair({bits: 2048});
+    }
+
+    var cert = pki.createCertificate();
+    cert.publicKey = this._hostKeys.publicKey;
+    cert.serialNumber = randomSerialNumber();
+    cert.validity.notBefore = new Date(Date.now() - ONE_DAY);
+    // Browsers reject leaf certificates valid for more than 398 days
+    cert.validity.notAfter = new Date(Date.now() + 365 * ONE_DAY);
+    cert.setSubject([{name: "commonName", value: hostname}]);
+    cert.setIssuer(this.cert.subject.attributes);
+    cert.setExtensions([
+        {name: "basicConstraints", cA: false},
+        {name: "keyUsage", digitalSignature: true, keyEncipherment: true, critical: true},
+        {name: "extKeyUsage", serverAuth: true},
+        {name: "subjectAltName", altNames: [
+            net.isIP(hostname) ? {type: 7, ip: hostname} : {type: 2, value: hostname}
+        ]}
+    ]);
+    cert.sign(this.key, forge.md.sha256.create());
+
+    return {
+        key: pki.privateKeyToPem(this._hostKeys.privateKey),
+        cert: pki.certificateToPem(cert)
+    };
+};
+
+/**
+ * Returns a cached TLS context presenting a certificate for `hostname`.
+ * @param  {string} hostname
+ * @return {tls.SecureContext}
+ */
+CertificateAuthority.prototype.getSecureContext = function (hostname) {
+    hostname = hostname.toLowerCase();
+    if (!this._contexts[hostname]) {
+        var issued = this.issue(hostname);
+        this._contexts[hostname] = tls.createSecureContext({
+            key: issued.key,
+            cert: issued.cert + this.certPem
+        });
+    }
+    return this._contexts[hostname];
+};
+
+function randomSerialNumber() {
+    // Positive, so clear the top bit
+    var bytes = crypto.randomBytes(16);
+    bytes[0] &= 0x7f;
+    return bytes.toString("hex");
+}
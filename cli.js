@@ -17,16 +17,27 @@
  */
 
 var fs = require("fs");
+var http = require("http");
 var PATH = require("path");
 var serverReplay = require("./index");
 var parseConfig = require("./parse-config");
+var CertificateAuthority = require("./certificate-authority");
+var Recorder = require("./recorder");
+var Admin = require("./admin");
+var watch = require("./watch");
+var loadHar = require("./load-har");
+var SessionReport = require("./session-report");
+var mirror = require("./mirror");
+var redact = require("./redact");
 
 var argv = require("yargs")
-    .usage("Usage: $0 [options] <.har file>")
+    .usage("Usage: $0 [options] <.har file or directory>...\n       $0 record [options] <output .har file>\n" +
+        "       $0 export <output directory> <.har file or directory>...\n" +
+        "       $0 redact [options] <.har file> <output .har file>")
     .options({
         c: {
             alias: "config",
-            describe: "The config file to use"
+            describe: "The config file to use, JSON or a JavaScript module"
         },
         p: {
             alias: "port",
@@ -37,40 +48,333 @@ var argv = require("yargs")
             alias: "debug",
             describe: "Turn on debug logging",
             boolean: true
+        },
+        timing: {
+            describe: "Delay and throttle responses using the timings recorded in the HAR",
+            boolean: true
+        },
+        speed: {
+            describe: "Speed multiplier for --timing, e.g. 2 replays twice as fast as recorded. Implies --timing"
+        },
+        sequential: {
+            describe: "Serve repeated requests from the entries recorded for them, in the order they were recorded",
+            boolean: true
+        },
+        "when-exhausted": {
+            describe: "With --sequential, what to serve after the last recorded entry: repeat, wrap or 404",
+            default: "repeat"
+        },
+        https: {
+            describe: "Intercept HTTPS requests. Use --no-https to only proxy plain http",
+            boolean: true,
+            default: true
+        },
+        "ca-dir": {
+            describe: "Directory to keep the HTTPS CA key and certificate in, so the CA is reused between runs"
+        },
+        "ca-cert": {
+            describe: "Write the HTTPS CA certificate to this file, to be imported and trusted by the browser"
+        },
+        "near-misses": {
+            describe: "How many of the closest entries to describe when a request is not found, 0 for none",
+            default: 3
+        },
+        "source-header": {
+            describe: "Add an X-Har-Source header naming the .har file each response came from",
+            boolean: true
+        },
+        watch: {
+            describe: "Reload the .har and config files when they change",
+            boolean: true
+        },
+        report: {
+            describe: "On exit, write the replayed exchanges as session.har, and which entries were unused and which requests missed, were blocked or served from local files as coverage.json and coverage.txt, to this directory"
+        },
+        admin: {
+            describe: "Answer requests to " + Admin.PATH + " from this machine with the admin API, to inspect and control the proxy",
+            boolean: true
+        },
+        "admin-port": {
+            describe: "Also serve the admin API on this port"
+        },
+        "admin-host": {
+            describe: "The host to serve the admin API on with --admin-port",
+            default: "127.0.0.1"
+        },
+        upstream: {
+            describe: "With record, forward every request to this base URL, e.g. a local server, instead of the requested host"
+        },
+        insecure: {
+            describe: "With record, don't verify the certificates of upstream servers",
+            boolean: true
+        },
+        consistent: {
+            describe: "With redact, replace each redacted value with a numbered placeholder, the same one wherever the value appears",
+            boolean: true
         }
     })
     .demand(1)
     .argv;
 
-var harPath = argv._[0];
-var har = JSON.parse(fs.readFileSync(harPath));
+var ca;
+if (argv.https && argv._[0] !== "export" && argv._[0] !== "redact") {
+    ca = argv["ca-dir"] ? CertificateAuthority.loadOrGenerate(argv["ca-dir"]) : CertificateAuthority.generate();
+    if (argv["ca-cert"]) {
+        fs.writeFileSync(argv["ca-cert"], ca.certPem);
+        console.log("Wrote CA certificate to", argv["ca-cert"]);
+    }
+}
+
+if (argv._[0] === "record") {
+    record(argv._[1]);
+} else if (argv._[0] === "export") {
+    exportMirror(argv._[1], argv._.slice(2));
+} else if (argv._[0] === "redact") {
+    redactHar(argv._[1], argv._[2]);
+} else {
+    loadHar(argv._, function (err, har) {
+        if (err) {
+            console.error("Error: Could not load", argv._.join(", ") + ":", err.message);
+            process.exit(1);
+        }
+        replay(argv._, har);
+    });
+}
+
+// Later files override earlier ones
+function replay(harPaths, har) {
+    if (argv.debug) {
+        console.log("Loaded", har.log.entries.length, "entries from", loadHar.expandPaths(harPaths).join(", "));
+    }
+
+    var configPath = findConfigPath();
+    if (argv.debug) {
+        if (configPath) {
+            console.log("Using config file from", configPath);
+        } else {
+            console.log("No config file");
+        }
+    }
+    if (argv.speed !== undefined && (isNaN(argv.speed) || Number(argv.speed) <= 0)) {
+        console.error("Error: --speed must be a positive number");
+        process.exit(1);
+    }
+    // Command line options override the config file, also when --watch or
+    // the admin API load it again
+    var loadConfig = function (text) {
+        var config = readConfig(configPath, text);
+        if (argv.timing || argv.speed) {
+            config.timing = {speed: argv.speed ? Number(argv.speed) : (config.timing ? config.timing.speed : 1)};
+        }
+        return config;
+    };
+    var config = loadConfig(configPath ? fs.readFileSync(configPath, "utf8") : null);
+
+    var resolvePath = configPath ? PATH.dirname(configPath) : process.cwd();
+    // Each is called with a callback on exit
+    var onExit = [];
+    var missRecorder = null;
+    if (config.recordMisses) {
+        var missesPath = PATH.resolve(resolvePath, config.recordMisses);
+        missRecorder = new Recorder();
+        // Append to what earlier runs recorded
+        if (fs.existsSync(missesPath)) {
+            JSON.parse(fs.readFileSync(missesPath)).log.entries.forEach(function (entry) {
+                missRecorder.add(entry);
+            });
+        }
+        onExit.push(function (callback) {
+            missRecorder.write(missesPath, function (err) {
+                if (err) {
+                    console.error("Error: Could not write", missesPath + ":", err.message);
+                } else {
+                    console.log("Wrote", missRecorder.entries.length, "forwarded entries to", missesPath);
+                }
+                callback(err);
+            });
+        });
+    }
 
-var configPath = argv.config;
-if (!configPath) {
-    if (fs.existsSync(".server-replay.json")) {
-        configPath = ".server-replay.json";
+    var replayServer = serverReplay(har, {
+        config: config,
+        resolvePath: resolvePath,
+        missRecorder: missRecorder,
+        port: argv.port,
+        debug: argv.debug,
+        ca: ca,
+        sequential: argv.sequential,
+        whenExhausted: argv["when-exhausted"],
+        admin: argv.admin,
+        adminPort: argv["admin-port"],
+        adminHost: argv["admin-host"],
+        loadConfig: loadConfig,
+        sourceHeader: argv["source-header"],
+        nearMisses: argv["near-misses"]
+    }, function(err) {
+        if (err) {
+            console.error("Error: Could not listen:", err.message);
+            process.exit(1);
+        }
+        console.log("har-replay-proxy: Listening on localhost:" + replayServer.address().port);
+        if (replayServer.adminServer) {
+            console.log("har-replay-proxy: Admin API on localhost:" + replayServer.adminAddress().port);
+        }
+        if (argv.watch) {
+            watch(replayServer, {
+                harPaths: harPaths,
+                configPath: configPath,
+                loadConfig: loadConfig
+            });
+            console.log("har-replay-proxy: Watching", harPaths.concat(configPath || []).join(", "), "for changes");
+        }
+    });
+
+    if (argv.report) {
+        var report = new SessionReport(replayServer);
+        onExit.push(function (callback) {
+            report.write(argv.report, function (err) {
+                if (err) {
+                    console.error("Error: Could not write the session report to", argv.report + ":", err.message);
+                } else {
+                    console.log("Wrote the session report to", argv.report);
+                }
+                callback(err);
+            });
+        });
+    }
+
+    if (onExit.length) {
+        var exit = function () {
+            var failed = false;
+            (function next() {
+                var task = onExit.shift();
+                if (!task) {
+                    process.exit(failed ? 1 : 0);
+                    return;
+                }
+                task(function (err) {
+                    failed = failed || !!err;
+                    next();
+                });
+            })();
+        };
+        process.on("SIGINT", exit);
+        process.on("SIGTERM", exit);
+    }
+}
+
+function findConfigPath() {
+    if (argv.config) {
+        return argv.config;
+    }
+    if (fs.existsSync(".server-replay.js")) {
+        return ".server-replay.js";
+    } else if (fs.existsSync(".server-replay.json")) {
+        return ".server-replay.json";
     } else if (fs.existsSync(".harmonica.json")) {
         console.log(".harmonica.json is deprecated, use .server-replay.json instead");
-        configPath = ".harmonica.json";
+        return ".harmonica.json";
     }
 }
-if (argv.debug) {
-    if (configPath) {
-        console.log("Using config file from", configPath);
-    } else {
-        console.log("No config file");
+
+function readConfig(configPath, text) {
+    return configPath && /\.js$/i.test(configPath) ? parseConfig.loadModule(configPath) : parseConfig(text);
+}
+
+function record(outputPath) {
+    if (!outputPath) {
+        console.error("Error: record needs the path of the .har file to write");
+        process.exit(1);
+    }
+
+    var recorder = new Recorder();
+    var options = {
+        upstream: argv.upstream,
+        insecure: argv.insecure,
+        debug: argv.debug,
+        ca: ca
+    };
+    var listener = Recorder.makeRequestListener(recorder, options);
+    var server = http.createServer(listener);
+    if (ca) {
+        server.on("connect", serverReplay.makeConnectListener(listener, options));
     }
+
+    server.listen(argv.port, function () {
+        console.log("har-replay-proxy: Recording on localhost:" + server.address().port +
+            (argv.upstream ? " from " + argv.upstream : "") + ", stop with Ctrl-C to write " + outputPath);
+    });
+
+    function stop() {
+        recorder.write(outputPath, function (err) {
+            if (err) {
+                console.error("Error: Could not write", outputPath + ":", err.message);
+                process.exit(1);
+            }
+            console.log("Wrote", recorder.entries.length, "entries to", outputPath);
+            process.exit(0);
+        });
+    }
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
 }
-var config = parseConfig(configPath ? fs.readFileSync(configPath, "utf8") : null);
 
-serverReplay(har, {
-    config: config,
-    resolvePath: PATH.dirname(configPath),
-    port: argv.port,
-    debug: argv.debug
-}, function() {
-    console.log("har-replay-proxy: Listening on localhost:" + argv.port);
-});
+// Writes the bodies in the HARs to a directory, with a config that serves
+// them through mappings
+function exportMirror(outputDir, harPaths) {
+    if (!outputDir || !harPaths.length) {
+        console.error("Error: export needs the directory to write to and the .har files to export");
+        process.exit(1);
+    }
+
+    loadHar(harPaths, function (err, har) {
+        if (err) {
+            console.error("Error: Could not load", harPaths.join(", ") + ":", err.message);
+            process.exit(1);
+        }
+        mirror.write(har.log.entries, outputDir, function (err, plan) {
+            if (err) {
+                console.error("Error: Could not export to", outputDir + ":", err.message);
+                process.exit(1);
+            }
+            console.log("Wrote", plan.files.length, "files to", outputDir + ", and", PATH.join(outputDir, mirror.CONFIG_FILE),
+                "mapping", plan.mappings.length, "URLs to them");
+            if (plan.unmapped.length) {
+                console.log(plan.unmapped.length, "URLs with several bodies, or responses that aren't served as recorded, are left to the HAR" +
+                    (argv.debug ? ":\n" + plan.unmapped.join("\n") : ""));
+            }
+        });
+    });
+}
 
+// Writes a copy of a HAR without what the `redact` config section says, so
+// that it can be shared
+function redactHar(inputPath, outputPath) {
+    if (!inputPath || !outputPath) {
+        console.error("Error: redact needs the .har file to redact and the path of the .har file to write");
+        process.exit(1);
+    }
 
+    var rules;
+    var har;
+    var configPath = findConfigPath();
+    try {
+        rules = readConfig(configPath, configPath ? fs.readFileSync(configPath, "utf8") : null).redact;
+        har = JSON.parse(fs.readFileSync(inputPath, "utf8"));
+    } catch (e) {
+        console.error("Error: Could not load", (rules ? inputPath : configPath) + ":", e.message);
+        process.exit(1);
+    }
+    if (argv.consistent) {
+        rules.consistent = true;
+    }
 
+    var result = redact.redact(har, rules);
+    fs.writeFile(outputPath, JSON.stringify(result.har, null, 2), function (err) {
+        if (err) {
+            console.error("Error: Could not write", outputPath + ":", err.message);
+            process.exit(1);
+        }
+        console.log("Redacted", result.count, "different values from", har.log.entries.length, "entries, and wrote", outputPath);
+    });
+}
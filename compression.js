@@ -0,0 +1,137 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var zlib = require("zlib");
+var harContent = require("./content");
+
+// "negotiate" picks the best encoding the client accepts, "mirror" uses the
+// recorded Content-Encoding when the client accepts it, "off" never compresses
+var MODES = ["negotiate", "mirror", "off"];
+// In order of preference when the client accepts several equally
+var ENCODINGS = ["gzip", "br", "deflate"];
+
+var encoders = {
+    gzip: zlib.gzip,
+    deflate: zlib.deflate,
+    br: zlib.brotliCompress
+};
+
+exports.MODES = MODES;
+
+/**
+ * Chooses how to encode the response body.
+ * @param  {http.IncomingMessage} request
+ * @param  {Object} entryResponse
+ * @param  {string} mode One of MODES
+ * @return {?string} The content coding, or null to send the body as is
+ */
+exports.choose = function (request, entryResponse, mode) {
+    if (mode === "off" || request.method === "HEAD" || !hasBody(entryResponse.status)) {
+        return null;
+    }
+    // A Content-Range counts the bytes of the body as it is
+    if (entryResponse.status === 206 || harContent.header(entryResponse, "content-range") !== null) {
+        return null;
+    }
+
+    var accepted = parseAcceptEncoding(request.headers && request.headers["accept-encoding"]);
+    if (mode === "mirror") {
+        var recorded = recordedEncoding(entryResponse);
+        return recorded && isAccepted(accepted, recorded) ? recorded : null;
+    }
+
+    if (!isCompressible(entryResponse.content.mimeType)) {
+        return null;
+    }
+    var best = null;
+    var bestQuality = 0;
+    ENCODINGS.forEach(function (encoding) {
+        var quality = qualityOf(accepted, encoding);
+        if (quality > bestQuality) {
+            best = encoding;
+            bestQuality = quality;
+        }
+    });
+    return best;
+};
+
+/**
+ * Encodes the body, calling back synchronously when there is nothing to do.
+ * @param {Buffer|string} content
+ * @param {?string} encoding
+ * @param {function(Error, Buffer|string)} callback
+ */
+exports.encode = function (content, encoding, callback) {
+    if (!encoding) {
+        callback(null, content);
+        return;
+    }
+    encoders[encoding](content || "", callback);
+};
+
+exports.parseAcceptEncoding = parseAcceptEncoding;
+function parseAcceptEncoding(header) {
+    var accepted = {};
+    (header || "").split(",").forEach(function (part) {
+        var params = part.trim().split(";");
+        var coding = params[0].trim().toLowerCase();
+        if (!coding) {
+            return;
+        }
+        var q = 1;
+        for (var i = 1; i < params.length; i++) {
+            var match = /^\s*q\s*=\s*([0-9.]+)\s*$/.exec(params[i]);
+            if (match) {
+                q = parseFloat(match[1]);
+            }
+        }
+        accepted[coding] = q;
+    });
+    return accepted;
+}
+
+function qualityOf(accepted, encoding) {
+    if (accepted[encoding] !== undefined) {
+        return accepted[encoding];
+    }
+    // x-gzip is an old alias
+    if (encoding === "gzip" && accepted["x-gzip"] !== undefined) {
+        return accepted["x-gzip"];
+    }
+    return accepted["*"] || 0;
+}
+
+function isAccepted(accepted, encoding) {
+    return qualityOf(accepted, encoding) > 0;
+}
+
+function recordedEncoding(entryResponse) {
+    var encoding = null;
+    (entryResponse.headers || []).forEach(function (header) {
+        if (header.name.toLowerCase() === "content-encoding") {
+            encoding = header.value.trim().toLowerCase();
+        }
+    });
+    return encoders[encoding] ? encoding : null;
+}
+
+function isCompressible(mimeType) {
+    return /^text\/|[\/+](json|javascript|ecmascript|xml|x-www-form-urlencoded)\b|^image\/svg|^application\/(wasm|manifest)/i.test(mimeType || "");
+}
+
+function hasBody(status) {
+    return status !== 204 && status !== 304 && !(status >= 100 && status < 200);
+}
@@ -0,0 +1,124 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var iconv = require("iconv-lite");
+
+var TEXT_TYPES = /^text\/|[\/+](json|javascript|ecmascript|xml|x-www-form-urlencoded)\b|^image\/svg/i;
+var CHARSET = /;\s*charset\s*=\s*"?([^";\s]+)/i;
+
+/**
+ * @param  {string} [contentType] e.g. "text/html; charset=Shift_JIS"
+ * @return {boolean} Whether bodies of this type are text. Types with a
+ *         charset are text, whatever they are
+ */
+exports.isText = isText;
+function isText(contentType) {
+    return TEXT_TYPES.test(contentType || "") || CHARSET.test(contentType || "");
+}
+
+/**
+ * @param  {string} [contentType]
+ * @return {string} The charset of the content type if it is one we can
+ *         encode, utf-8 otherwise
+ */
+exports.charset = charset;
+function charset(contentType) {
+    var match = CHARSET.exec(contentType || "");
+    var name = match ? match[1].toLowerCase() : "utf-8";
+    return iconv.encodingExists(name) ? name : "utf-8";
+}
+
+/**
+ * The content type of a HAR response, preferring the one that names a
+ * charset when `content.mimeType` and the Content-Type header differ.
+ * @param  {Object} entryResponse
+ * @return {string}
+ */
+exports.contentType = function (entryResponse) {
+    var mimeType = entryResponse.content.mimeType || "";
+    var contentType = header(entryResponse, "content-type");
+    return CHARSET.test(mimeType) || !contentType ? mimeType : contentType;
+};
+
+/**
+ * The value of a header of a HAR response, the last one when it was recorded
+ * more than once.
+ * @param  {Object} entryResponse
+ * @param  {string} name In lower case
+ * @return {?string} null when the response has no such header
+ */
+exports.header = header;
+function header(entryResponse, name) {
+    var value = null;
+    (entryResponse.headers || []).forEach(function (h) {
+        if (h.name.toLowerCase() === name) {
+            value = h.value;
+        }
+    });
+    return value;
+}
+
+/**
+ * Reads the body of a HAR response. HAR 1.2 keeps text bodies as decoded
+ * text, and other bodies base64 encoded with `encoding: "base64"`.
+ * @param  {Object} content The `content` of a HAR response
+ * @param  {string} contentType
+ * @return {Buffer|string} The bytes of base64 encoded bodies, and the text
+ *         of the others
+ */
+exports.read = function (content, contentType) {
+    var text = content.text || "";
+    if (content.encoding === "base64" || (content.encoding === undefined && !isText(contentType) && looksBase64(content))) {
+        return new Buffer(text, "base64");
+    }
+    return text;
+};
+
+// Some generators base64 encode binary bodies without saying so. Their text
+// is a third longer than the size of the body
+function looksBase64(content) {
+    if (!content.text || !content.size) {
+        return false;
+    }
+    var base64Size = content.size / 0.75;
+    var contentSize = content.text.length;
+    return contentSize >= base64Size && contentSize <= base64Size + 4;
+}
+
+/**
+ * @param  {Buffer} buffer
+ * @param  {string} contentType
+ * @return {string} The text of the body in the charset of the content type
+ */
+exports.decode = function (buffer, contentType) {
+    var name = charset(contentType);
+    return isUtf8(name) ? buffer.toString("utf8") : iconv.decode(buffer, name);
+};
+
+/**
+ * @param  {string} text
+ * @param  {string} contentType
+ * @return {Buffer|string} The body in the charset of the content type. UTF-8
+ *         stays a string, which node writes as UTF-8
+ */
+exports.encode = function (text, contentType) {
+    var name = charset(contentType);
+    return isUtf8(name) ? text : iconv.encode(text, name);
+};
+
+function isUtf8(name) {
+    return name === "utf-8" || name === "utf8";
+}
@@ -0,0 +1,139 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var http = require("http");
+
+// "delay" holds the response back for `delay` milliseconds, "status" answers
+// with `status` and an optional Retry-After instead of the recorded response,
+// "truncate" closes the connection after `bytes` of the body, "hang" never
+// responds and "reset" destroys the socket without responding
+var FAULTS = ["delay", "status", "truncate", "hang", "reset"];
+
+exports.FAULTS = FAULTS;
+
+/**
+ * @param  {Array<Object>} faults Fault rules, as parsed by parse-config
+ * @param  {http.IncomingMessage} request
+ * @return {?Object} The first rule that triggers for the request
+ */
+exports.choose = function (faults, request) {
+    for (var i = 0; i < (faults || []).length; i++) {
+        if (faults[i].triggers(request.url)) {
+            return faults[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * @param  {Object} fault
+ * @return {string} e.g. "status 503, Retry-After 30"
+ */
+exports.describe = function (fault) {
+    switch (fault.fault) {
+    case "delay":
+        return "delay " + fault.delay + "ms";
+    case "status":
+        return "status " + fault.status + (fault.retryAfter !== null ? ", Retry-After " + fault.retryAfter : "");
+    case "truncate":
+        return "truncate after " + (fault.bytes === null ? "half the body" : fault.bytes + " bytes");
+    default:
+        return fault.fault;
+    }
+};
+
+/**
+ * Injects `fault` into the response to `request`.
+ * @param {Object} fault
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {function()} respond Serves the response as if there were no
+ *        fault, called for the faults that change how it is sent
+ */
+exports.inject = function (fault, request, response, respond) {
+    switch (fault.fault) {
+    case "delay":
+        var timer = setTimeout(respond, fault.delay);
+        response.on("close", function () {
+            clearTimeout(timer);
+        });
+        break;
+    case "status":
+        var headers = {"content-type": "text/plain"};
+        if (fault.retryAfter !== null) {
+            headers["retry-after"] = String(fault.retryAfter);
+        }
+        response.writeHead(fault.status, headers);
+        response.end(fault.status + " " + (http.STATUS_CODES[fault.status] || "") + "\n\nInjected fault");
+        break;
+    case "truncate":
+        truncate(response, fault.bytes);
+        respond();
+        break;
+    case "reset":
+        request.socket.destroy();
+        break;
+    // "hang" leaves the request open until the client or server gives up
+    }
+};
+
+// Sends the headers and the first `bytes` of the body, defaulting to half
+// of its Content-Length, then closes the connection
+function truncate(response, bytes) {
+    var write = response.write;
+    var end = response.end;
+    var sent = 0;
+    var cut = false;
+
+    function send(chunk, encoding) {
+        if (cut) {
+            return;
+        }
+        var limit = bytes;
+        if (limit === null) {
+            limit = Math.floor(Number(response.getHeader("content-length") || 0) / 2);
+        }
+        var data = Buffer.isBuffer(chunk) ? chunk : new Buffer(chunk || "", typeof encoding === "string" ? encoding : "utf8");
+        if (sent + data.length < limit) {
+            sent += data.length;
+            write.call(response, data);
+            return;
+        }
+        cut = true;
+        response.flushHeaders();
+        if (limit > sent) {
+            write.call(response, data.slice(0, limit - sent));
+        }
+        // Ending the socket rather than the response leaves the body short
+        // of its Content-Length
+        response.socket.end();
+    }
+
+    response.write = function (chunk, encoding) {
+        send(chunk, encoding);
+        return true;
+    };
+    response.end = function (chunk, encoding) {
+        if (typeof chunk !== "function") {
+            send(chunk, encoding);
+        }
+        if (!cut) {
+            // The whole body fit
+            end.call(response);
+        }
+        return response;
+    };
+}
@@ -15,22 +15,37 @@
  */
 
 var URL = require("url");
+var querystring = require("querystring");
+var parseMatching = require("./parse-config").parseMatching;
+var redact = require("./redact");
 
-module.exports = function (entries, request) {
+var DEFAULT_MATCHING = parseMatching();
+
+/**
+ * Finds the entry that best matches the request.
+ * @param  {Array<Object>} entries
+ * @param  {http.IncomingMessage} request With `parsedUrl`
+ * @param  {Object} [matching] The `matching` config, as parsed by parse-config
+ * @return {?Object} The entry, or null if none matches
+ */
+exports = module.exports = function (entries, request, matching) {
+    matching = matching || DEFAULT_MATCHING;
     var topPoints = 0;
     var topEntry = null;
 
+    // Only entries with the same method, host and pathname can score, and
+    // they are kept in order, so this picks the same entry as scoring them all
+    var index = getIndex(entries, matching);
+    var candidates = request.parsedUrl.host === null ?
+        index.byPath[pathKey(request.method, request.parsedUrl.pathname)] :
+        index.byHost[hostKey(request.method, matching.host(request.parsedUrl.host), request.parsedUrl.pathname)];
+
     var entry;
-    for (var i = 0; i < entries.length; i++) {
-        entry = entries[i];
-        if (!entry.request.parsedUrl) {
-            entry.request.parsedUrl = URL.parse(entry.request.url, true);
-        }
-        if (!entry.request.indexedHeaders) {
-            entry.request.indexedHeaders = indexHeaders(entry.request.headers);
-        }
-        var points = rate(entry.request, request);
-        if (points > topPoints) {
+    for (var i = 0; candidates && i < candidates.length; i++) {
+        entry = candidates[i];
+        var points = rate(entry.request, request, matching);
+        // When several HARs are layered, later layers override earlier ones
+        if (points > topPoints || (points > 0 && points === topPoints && (entry._layer || 0) > (topEntry._layer || 0))) {
             topPoints = points;
             topEntry = entry;
         }
@@ -39,37 +54,192 @@ module.exports = function (entries, request) {
     return topEntry;
 };
 
-function rate(entryRequest, request) {
+/**
+ * Scores every entry that shares the host or pathname of the request, with
+ * the reasons each one didn't match better, to explain why a request missed.
+ * Requests without a host, which have no host to share, are only compared
+ * with the entries for their pathname.
+ * @param  {Array<Object>} entries
+ * @param  {http.IncomingMessage} request With `parsedUrl`
+ * @param  {number} limit How many candidates to return
+ * @param  {Object} [matching]
+ * @return {Array<{entry: Object, points: number, reasons: Array<string>}>}
+ *         Closest first
+ */
+exports.candidates = function (entries, request, limit, matching) {
+    matching = matching || DEFAULT_MATCHING;
+    var candidates = [];
+    // Only the entries that share the host or pathname are rated, as misses
+    // are answered with these for every request to large HARs
+    var index = getIndex(entries, matching);
+    var positions = lookup(index.byPathname, request.parsedUrl.pathname);
+    if (request.parsedUrl.host !== null) {
+        positions = union(positions, lookup(index.byHostName, matching.host(request.parsedUrl.host)));
+    }
+    positions.forEach(function (position) {
+        var entry = entries[position];
+        var reasons = [];
+        var points = rate(entry.request, request, matching, reasons);
+        var sameHost = request.parsedUrl.host === null ||
+            matching.host(entry.request.parsedUrl.host) === matching.host(request.parsedUrl.host);
+        var samePathname = entry.request.parsedUrl.pathname === request.parsedUrl.pathname;
+        candidates.push({
+            entry: entry,
+            points: points,
+            reasons: reasons,
+            // Rank entries by the requirements they meet before their points
+            rank: (entry.request.method === request.method) + sameHost + samePathname
+        });
+    });
+
+    candidates.sort(function (a, b) {
+        return b.rank - a.rank || b.points - a.points;
+    });
+    return candidates.slice(0, limit).map(function (candidate) {
+        return {
+            entry: candidate.entry,
+            points: candidate.points,
+            reasons: candidate.reasons
+        };
+    });
+};
+
+// The index is kept on the entries array, and rebuilt for other matching
+// rules or when entries have been added
+function getIndex(entries, matching) {
+    var index = entries._index;
+    if (index && index.matching === matching && index.length === entries.length) {
+        return index;
+    }
+
+    index = {
+        matching: matching,
+        length: entries.length,
+        byHost: {},
+        byPath: {},
+        // Positions of the entries for each host and each pathname, for any
+        // method, to find near misses
+        byHostName: {},
+        byPathname: {}
+    };
+    entries.forEach(function (entry, position) {
+        prepare(entry.request);
+        var method = entry.request.method;
+        var host = matching.host(entry.request.parsedUrl.host);
+        var pathname = entry.request.parsedUrl.pathname;
+        add(index.byHost, hostKey(method, host, pathname), entry);
+        add(index.byPath, pathKey(method, pathname), entry);
+        add(index.byHostName, host, position);
+        add(index.byPathname, pathname, position);
+    });
+    Object.defineProperty(entries, "_index", {value: index, configurable: true, writable: true});
+    return index;
+
+    function add(map, key, entry) {
+        if (!Object.prototype.hasOwnProperty.call(map, key)) {
+            map[key] = [];
+        }
+        map[key].push(entry);
+    }
+}
+
+function lookup(map, key) {
+    return Object.prototype.hasOwnProperty.call(map, key) ? map[key] : [];
+}
+
+// Merges two ascending lists of positions
+function union(a, b) {
+    var merged = [];
+    var i = 0;
+    var j = 0;
+    while (i < a.length || j < b.length) {
+        var next = j >= b.length || (i < a.length && a[i] <= b[j]) ? a[i] : b[j];
+        merged.push(next);
+        while (i < a.length && a[i] === next) {
+            i++;
+        }
+        while (j < b.length && b[j] === next) {
+            j++;
+        }
+    }
+    return merged;
+}
+
+function hostKey(method, host, pathname) {
+    return method + " " + host + " " + pathname;
+}
+
+function pathKey(method, pathname) {
+    return method + " " + pathname;
+}
+
+function prepare(entryRequest) {
+    if (!entryRequest.parsedUrl) {
+        entryRequest.parsedUrl = URL.parse(entryRequest.url, true);
+    }
+    if (!entryRequest.indexedHeaders) {
+        entryRequest.indexedHeaders = indexHeaders(entryRequest.headers);
+    }
+}
+
+// When `reasons` is given every difference is described in it, and the
+// remaining fields are still compared after a failed requirement
+function rate(entryRequest, request, matching, reasons) {
+    var weights = matching.weights;
     var points = 0;
     var name;
 
     // method, host and pathname must match
-    if (
-        entryRequest.method !== request.method ||
-        (request.parsedUrl.host !== null && entryRequest.parsedUrl.host !== request.parsedUrl.host) ||
-        entryRequest.parsedUrl.pathname !== request.parsedUrl.pathname
-    ) {
+    var failed = false;
+    if (entryRequest.method !== request.method) {
+        failed = true;
+        explain(reasons, "method: recorded " + entryRequest.method + ", requested " + request.method);
+    }
+    if (request.parsedUrl.host !== null && matching.host(entryRequest.parsedUrl.host) !== matching.host(request.parsedUrl.host)) {
+        failed = true;
+        explain(reasons, "host: recorded " + entryRequest.parsedUrl.host + ", requested " + request.parsedUrl.host);
+    }
+    if (entryRequest.parsedUrl.pathname !== request.parsedUrl.pathname) {
+        failed = true;
+        explain(reasons, "pathname: recorded " + entryRequest.parsedUrl.pathname + ", requested " + request.parsedUrl.pathname);
+    }
+    if (failed && !reasons) {
         return 0;
     }
 
-    // One point for matching above requirements
-    points += 1;
+    // Points for matching above requirements
+    points += weights.requirements;
 
     // each query
     var entryQuery = entryRequest.parsedUrl.query;
     var requestQuery = request.parsedUrl.query;
     if (entryQuery && requestQuery) {
         for (name in requestQuery) {
-            if (entryQuery[name] === undefined) {
-                points -= 0.5;
+            if (matching.ignoreQueryParam(name)) {
+                continue;
+            }
+            if (matching.exactQueryParam(name) && !redact.matches(entryQuery[name], requestQuery[name])) {
+                failed = true;
+                explain(reasons, "query param " + name + ": must be exactly " + JSON.stringify(entryQuery[name]) + ", requested " + JSON.stringify(requestQuery[name]));
+            } else if (entryQuery[name] === undefined) {
+                points += weights.missingQueryParam;
+                explain(reasons, "query param " + name + ": not recorded");
+            } else if (sameValue(entryQuery[name], requestQuery[name], matching)) {
+                points += weights.queryParam;
             } else {
-                points += stripProtocol(entryQuery[name]) === stripProtocol(requestQuery[name]) ? 1 : 0;
+                explain(reasons, "query param " + name + ": recorded " + JSON.stringify(entryQuery[name]) + ", requested " + JSON.stringify(requestQuery[name]));
             }
         }
 
         for (name in entryQuery) {
-            if (requestQuery[name] === undefined) {
-                points -= 0.5;
+            if (requestQuery[name] === undefined && !matching.ignoreQueryParam(name)) {
+                if (matching.exactQueryParam(name)) {
+                    failed = true;
+                    explain(reasons, "query param " + name + ": must be exactly " + JSON.stringify(entryQuery[name]) + ", not requested");
+                } else {
+                    points += weights.missingQueryParam;
+                    explain(reasons, "query param " + name + ": not requested");
+                }
             }
         }
     }
@@ -78,13 +248,200 @@ function rate(entryRequest, request) {
     var entryHeaders = entryRequest.indexedHeaders;
     var requestHeaders = request.headers;
     for (name in requestHeaders) {
-        if (entryHeaders[name]) {
-            points += stripProtocol(entryHeaders[name]) === stripProtocol(requestHeaders[name]) ? 1 : 0;
+        if (matching.ignoreHeader(name)) {
+            continue;
+        }
+        if (matching.exactHeader(name) && !(entryHeaders[name] !== undefined && redact.matches(entryHeaders[name], requestHeaders[name]))) {
+            failed = true;
+            explain(reasons, "header " + name + ": must be exactly " + JSON.stringify(entryHeaders[name]) + ", requested " + JSON.stringify(requestHeaders[name]));
+        } else if (entryHeaders[name]) {
+            if (sameValue(entryHeaders[name], requestHeaders[name], matching)) {
+                points += weights.header;
+            } else {
+                explain(reasons, "header " + name + ": recorded " + JSON.stringify(entryHeaders[name]) + ", requested " + JSON.stringify(requestHeaders[name]));
+            }
         }
         // TODO handle missing headers and adjust score appropriately
     }
+    for (name in entryHeaders) {
+        if (requestHeaders[name] === undefined && matching.exactHeader(name) && !matching.ignoreHeader(name)) {
+            failed = true;
+            explain(reasons, "header " + name + ": must be exactly " + JSON.stringify(entryHeaders[name]) + ", not requested");
+        }
+    }
+
+    var body = rateBody(entryRequest, request, weights, reasons);
+    if (matching.exactBody && !body.equal) {
+        failed = true;
+        explain(reasons, "body: must be exactly the recorded body");
+    }
+    points += body.points;
 
-    return points;
+    return failed ? 0 : points;
+}
+
+// Redacted parts of recorded values match anything, so that HARs with
+// redacted secrets still replay
+function sameValue(entryValue, requestValue, matching) {
+    entryValue = String(entryValue);
+    requestValue = String(requestValue);
+    if (matching.stripProtocol) {
+        return redact.matches(stripProtocol(entryValue), stripProtocol(requestValue));
+    }
+    return redact.matches(entryValue, requestValue);
+}
+
+function explain(reasons, reason) {
+    if (reasons) {
+        reasons.push(reason);
+    }
+}
+
+// Returns the points for the body, and whether it equals the recorded one
+function rateBody(entryRequest, request, weights, reasons) {
+    var points = 0;
+    var name;
+
+    if (!entryRequest.parsedBody) {
+        entryRequest.parsedBody = parseEntryBody(entryRequest.postData);
+    }
+    if (!request.parsedBody) {
+        request.parsedBody = parseRequestBody(request);
+    }
+    var entryBody = entryRequest.parsedBody;
+    var requestBody = request.parsedBody;
+
+    // Compare form params and JSON object properties individually, the same
+    // way as the query, so that the closest payload wins
+    var entryFields = entryBody.form || entryBody.json;
+    var requestFields = requestBody.form || requestBody.json;
+    if (!isObject(entryFields) || !isObject(requestFields)) {
+        var equal;
+        if (entryBody.json !== undefined && requestBody.json !== undefined) {
+            equal = jsonEquals(entryBody.json, requestBody.json);
+        } else {
+            equal = redact.matches(entryBody.text, requestBody.text);
+        }
+        if (!equal) {
+            explain(reasons, "body: recorded " + JSON.stringify(abbreviate(entryBody.text)) + ", requested " + JSON.stringify(abbreviate(requestBody.text)));
+        }
+        return {
+            // Nothing to tell the entries apart by if neither has a body
+            points: equal && entryBody.text ? weights.body : 0,
+            equal: equal
+        };
+    }
+
+    var allEqual = true;
+    for (name in requestFields) {
+        if (entryFields[name] === undefined) {
+            points += weights.missingBodyField;
+            allEqual = false;
+            explain(reasons, "body field " + name + ": not recorded");
+        } else if (jsonEquals(entryFields[name], requestFields[name])) {
+            points += weights.bodyField;
+        } else {
+            allEqual = false;
+            explain(reasons, "body field " + name + ": recorded " + abbreviate(JSON.stringify(entryFields[name])) +
+                ", requested " + abbreviate(JSON.stringify(requestFields[name])));
+        }
+    }
+    for (name in entryFields) {
+        if (requestFields[name] === undefined) {
+            points += weights.missingBodyField;
+            allEqual = false;
+            explain(reasons, "body field " + name + ": not requested");
+        }
+    }
+
+    return {
+        points: points,
+        equal: allEqual
+    };
+}
+
+function parseEntryBody(postData) {
+    if (!postData) {
+        return parseBody("", "");
+    }
+
+    var body = parseBody(postData.text || "", postData.mimeType);
+    // Some generators only record the params of form submissions
+    if (!postData.text && postData.params && postData.params.length) {
+        body.form = {};
+        postData.params.forEach(function (param) {
+            appendValue(body.form, param.name, param.value || "");
+        });
+        body.text = querystring.stringify(body.form);
+    }
+    return body;
+}
+
+function parseRequestBody(request) {
+    var text = request.body ? request.body.toString("utf8") : "";
+    return parseBody(text, request.headers && request.headers["content-type"]);
+}
+
+function parseBody(text, mimeType) {
+    var body = {text: text};
+    if (!text) {
+        return body;
+    }
+
+    if (/application\/x-www-form-urlencoded/i.test(mimeType)) {
+        body.form = querystring.parse(text);
+    } else if (/[\/+]json/i.test(mimeType) || /^\s*[\{\[]/.test(text)) {
+        try {
+            body.json = JSON.parse(text);
+        } catch (e) {
+            // Not JSON after all, only the text can be compared
+        }
+    }
+    return body;
+}
+
+function abbreviate(text) {
+    return text.length > 60 ? text.slice(0, 60) + "..." : text;
+}
+
+function appendValue(object, name, value) {
+    if (object[name] === undefined) {
+        object[name] = value;
+    } else if (Array.isArray(object[name])) {
+        object[name].push(value);
+    } else {
+        object[name] = [object[name], value];
+    }
+}
+
+function isObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Deep equality that ignores the order of object keys, where the recorded
+// value `a` can be redacted
+function jsonEquals(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (redact.isRedacted(a)) {
+        return redact.matches(a, typeof b === "string" ? b : JSON.stringify(b));
+    }
+    if (!a || !b || typeof a !== "object" || typeof b !== "object" || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    var aKeys = Object.keys(a);
+    var bKeys = Object.keys(b);
+    if (aKeys.length !== bKeys.length) {
+        return false;
+    }
+    for (var i = 0; i < aKeys.length; i++) {
+        if (!Object.prototype.hasOwnProperty.call(b, aKeys[i]) || !jsonEquals(a[aKeys[i]], b[aKeys[i]])) {
+            return false;
+        }
+    }
+    return true;
 }
 
 function stripProtocol(string) {
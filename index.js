@@ -15,17 +15,420 @@
  */
 
 var _fs = require("fs");
+var tls = require("tls");
 var http = require("http");
+var util = require("util");
+var EventEmitter = require("events").EventEmitter;
 var URL = require("url");
 var PATH = require("path");
 var mime = require("mime");
 var heuristic = require("./heuristic");
+var Sequence = require("./sequence");
+var timing = require("./timing");
+var compression = require("./compression");
+var harContent = require("./content");
+var range = require("./range");
+var caching = require("./caching");
+var faults = require("./faults");
+var virtualHosts = require("./virtual-hosts");
+var plugins = require("./plugins");
+var websocket = require("./websocket");
+var streaming = require("./streaming");
+var WebSocketServer = require("ws").WebSocketServer;
+var Recorder = require("./recorder");
+var readBody = require("./read-body");
+var Admin = require("./admin");
 var _NOOP = function() {};
 
 exports = module.exports = serverReplay;
+/**
+ * Starts a proxy server replaying the HAR.
+ * @param  {Object} har
+ * @param  {Object} options
+ * @param  {function(Error, ReplayServer)} callback Called once listening
+ * @return {ReplayServer}
+ */
 function serverReplay(har, options, callback) {
-    var server = http.createServer(makeRequestListener(har.log.entries, options));
-    server.listen(options.port, callback || _NOOP);
+    callback = callback || _NOOP;
+    var replayServer = new ReplayServer();
+    var listenerOptions = Object.create(options);
+    listenerOptions.events = replayServer;
+
+    var listener = makeRequestListener(har.log.entries, listenerOptions);
+    // adminPort can be 0 for any free port
+    var hasAdminPort = options.adminPort !== undefined && options.adminPort !== null;
+    var admin = (options.admin || hasAdminPort) ? new Admin(replayServer, options.loadConfig) : null;
+    var server = http.createServer(function (request, response) {
+        if (options.admin && admin.handles(request)) {
+            admin.handleLocal(request, response);
+        } else {
+            listener(request, response);
+        }
+    });
+    listenerOptions.upgrade = makeUpgradeListener(listener, listenerOptions);
+    server.on("upgrade", listenerOptions.upgrade);
+    if (options.ca) {
+        server.on("connect", makeConnectListener(listener, listenerOptions));
+    }
+    replayServer._attach(server, listener);
+    replayServer.admin = admin;
+
+    // Virtual hosts with a port of their own. Ports are only opened for the
+    // config the proxy starts with
+    var virtualHostPorts = ((options.config && options.config.virtualHosts) || []).filter(function (virtualHost) {
+        return virtualHost.name === null;
+    }).map(function (virtualHost) {
+        return virtualHost.port;
+    });
+
+    listen(server, options.port, options.host, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        listenerOptions.localPort = server.address().port;
+        listenVirtualHosts();
+    });
+
+    function listenVirtualHosts() {
+        if (!virtualHostPorts.length) {
+            listenAdmin();
+            return;
+        }
+        var virtualHostServer = http.createServer(listener);
+        virtualHostServer.on("upgrade", listenerOptions.upgrade);
+        replayServer._attachVirtualHost(virtualHostServer);
+        listen(virtualHostServer, virtualHostPorts.shift(), options.host, function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            listenVirtualHosts();
+        });
+    }
+
+    function listenAdmin() {
+        if (!hasAdminPort) {
+            callback(null, replayServer);
+            return;
+        }
+        var adminServer = http.createServer(admin.handle.bind(admin));
+        replayServer._attachAdmin(adminServer);
+        // The admin API can change what is served, and map URLs to local
+        // files, so only this machine can reach it unless asked otherwise
+        listen(adminServer, options.adminPort, options.adminHost || "127.0.0.1", function (err) {
+            callback(err, err ? undefined : replayServer);
+        });
+    }
+
+    function listen(toListen, port, host, done) {
+        function onListenError(err) {
+            done(err);
+        }
+        toListen.once("error", onListenError);
+        toListen.listen(port, host, function () {
+            toListen.removeListener("error", onListenError);
+            toListen.on("error", function (err) {
+                notify(replayServer, "error", err);
+            });
+            done(null);
+        });
+    }
+
+    return replayServer;
+}
+
+/**
+ * Promise flavour of serverReplay, resolves with the ReplayServer once it is
+ * listening. Pass `port: 0` to listen on any free port.
+ * @param  {Object} har
+ * @param  {Object} options
+ * @return {Promise<ReplayServer>}
+ */
+exports.start = function (har, options) {
+    return new Promise(function (resolve, reject) {
+        serverReplay(har, options, function (err, replayServer) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(replayServer);
+            }
+        });
+    });
+};
+
+exports.ReplayServer = ReplayServer;
+/**
+ * Handle to a running proxy. Emits:
+ *  - "request" (request, response) for every request received, with a null
+ *    response for WebSocket upgrades
+ *  - "match" (request, entry) when an entry, or a local file, is served
+ *  - "local" (request, path) when a local file from the config's mappings
+ *    is served
+ *  - "blocked" (request, entry) when the matching entry was blocked while
+ *    recording, and a 410 is served
+ *  - "miss" (request) when nothing matched and a 404 is served
+ *  - "error" (err, request) when a request could not be served. Errors are
+ *    only emitted if there is a listener, so they never crash the proxy
+ *  - "har" (har) and "config" (config) when they are replaced
+ * WebSocket upgrades only emit "request", "match" and "miss".
+ * With the `admin` option requests to Admin.PATH are answered by the admin
+ * API, and with `adminPort` it also listens on its own port, on 127.0.0.1
+ * unless `adminHost` says otherwise. Virtual hosts
+ * in the config with a port of their own listen in `virtualHostServers`.
+ */
+function ReplayServer() {
+    EventEmitter.call(this);
+    this.server = null;
+    this.adminServer = null;
+    this.virtualHostServers = [];
+    this.admin = null;
+    this._listener = null;
+    this._sockets = [];
+}
+util.inherits(ReplayServer, EventEmitter);
+
+ReplayServer.prototype._attach = function (server, listener) {
+    this.server = server;
+    this._listener = listener;
+    this._trackSockets(server);
+};
+
+ReplayServer.prototype._attachAdmin = function (adminServer) {
+    this.adminServer = adminServer;
+    this._trackSockets(adminServer);
+};
+
+ReplayServer.prototype._attachVirtualHost = function (virtualHostServer) {
+    this.virtualHostServers.push(virtualHostServer);
+    this._trackSockets(virtualHostServer);
+};
+
+// Keep track of connections so that close() doesn't wait for keep-alive
+// connections and tunnels to time out
+ReplayServer.prototype._trackSockets = function (server) {
+    var sockets = this._sockets;
+    server.on("connection", function (socket) {
+        sockets.push(socket);
+        socket.on("close", function () {
+            sockets.splice(sockets.indexOf(socket), 1);
+        });
+    });
+};
+
+/**
+ * @return {{address: string, family: string, port: number}} The bound address
+ */
+ReplayServer.prototype.address = function () {
+    return this.server.address();
+};
+
+/**
+ * @return {?{address: string, family: string, port: number}} The bound
+ *         address of the admin API, if it has its own port
+ */
+ReplayServer.prototype.adminAddress = function () {
+    return this.adminServer ? this.adminServer.address() : null;
+};
+
+/**
+ * Starts every sequence of repeated requests from its first entry again.
+ */
+ReplayServer.prototype.resetSequences = function () {
+    this._listener.resetSequences();
+};
+
+/**
+ * @return {Array<Object>} The HAR entries being served
+ */
+ReplayServer.prototype.getEntries = function () {
+    return this._listener.getEntries();
+};
+
+/**
+ * Replaces the HAR being served. The previous one is kept if this one has no
+ * entries.
+ * @param {Object} har
+ * @throws {Error} If the HAR has no entries in a `log.entries` array
+ */
+ReplayServer.prototype.setHar = function (har) {
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+        throw new Error("The HAR has no log.entries array");
+    }
+    if (!har.log.entries.length) {
+        throw new Error("The HAR has no entries");
+    }
+    this._listener.setEntries(har.log.entries);
+    this.emit("har", har);
+};
+
+/**
+ * Replaces the config, as returned by parse-config.
+ * @param {Object} config
+ */
+ReplayServer.prototype.setConfig = function (config) {
+    this._listener.setConfig(config);
+    this.emit("config", config);
+};
+
+/**
+ * Stops listening and closes all open connections.
+ * @param  {function(Error)} [callback]
+ * @return {Promise}
+ */
+ReplayServer.prototype.close = function (callback) {
+    var self = this;
+    var servers = [this.server].concat(this.virtualHostServers);
+    if (this.adminServer) {
+        servers.push(this.adminServer);
+    }
+    var closed = Promise.all(servers.map(function (server) {
+        return new Promise(function (resolve, reject) {
+            server.close(function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    })).then(function () {
+        self.emit("close");
+    });
+    this._sockets.slice().forEach(function (socket) {
+        socket.destroy();
+    });
+    if (callback) {
+        closed.then(function () {
+            callback();
+        }, callback);
+    }
+    return closed;
+};
+
+function notify(events, name) {
+    if (!events || (name === "error" && !events.listeners("error").length)) {
+        return;
+    }
+    events.emit.apply(events, Array.prototype.slice.call(arguments, 1));
+}
+
+// Export for testing
+exports.makeConnectListener = makeConnectListener;
+function makeConnectListener(listener, options) {
+    var ca = options.ca;
+    var debug = options.debug;
+
+    // Never listens, decrypted connections are handed to it directly
+    var tunnelServer = http.createServer(function (request, response) {
+        // Requests inside the tunnel only have a path. Make the URL absolute
+        // so that matching and mappings see the same URLs as for plain http
+        var host = request.headers.host || request.socket.connectHost;
+        request.url = "https://" + host + request.url;
+        listener(request, response);
+    });
+    if (options.upgrade) {
+        tunnelServer.on("upgrade", function (request, socket, head) {
+            request.url = "wss://" + (request.headers.host || socket.connectHost) + request.url;
+            options.upgrade(request, socket, head);
+        });
+    }
+
+    return function (request, socket, head) {
+        if (debug) {
+            console.log(request.method, request.url);
+        }
+
+        socket.on("error", function (err) {
+            if (debug) {
+                console.error("Error: Tunnel to", request.url, "failed:", err.message);
+            }
+            notify(options.events, "error", err, request);
+        });
+        // Targets are host:port, which can't be tunneled without a host name
+        var target;
+        try {
+            target = URL.parse("https://" + request.url);
+        } catch (e) {
+            target = null;
+        }
+        if (!target || !target.hostname) {
+            console.error("Error: Cannot tunnel to", JSON.stringify(request.url));
+            socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n", function () {
+                socket.destroy();
+            });
+            return;
+        }
+        socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+        if (head && head.length) {
+            socket.unshift(head);
+        }
+
+        var tlsSocket = new tls.TLSSocket(socket, {
+            isServer: true,
+            // Used when the client doesn't send SNI, e.g. for IP addresses
+            secureContext: ca.getSecureContext(target.hostname),
+            SNICallback: function (servername, cb) {
+                cb(null, ca.getSecureContext(servername));
+            }
+        });
+        tlsSocket.connectHost = target.port === "443" ? target.hostname : target.host;
+        tlsSocket.on("error", function (err) {
+            if (debug) {
+                console.error("Error: TLS connection to", request.url, "failed:", err.message);
+            }
+            notify(options.events, "error", err, request);
+        });
+        tunnelServer.emit("connection", tlsSocket);
+    };
+}
+
+// Export for testing
+exports.makeUpgradeListener = makeUpgradeListener;
+/**
+ * Answers WebSocket upgrades that match a recorded upgrade entry, and
+ * replays the frames recorded for it.
+ * @param  {function(http.IncomingMessage, http.ServerResponse)} listener
+ *         From makeRequestListener, to match entries with
+ * @param  {Object} options
+ * @return {function(http.IncomingMessage, net.Socket, Buffer)}
+ */
+function makeUpgradeListener(listener, options) {
+    var webSocketServer = new WebSocketServer({noServer: true});
+
+    return function (request, socket, head) {
+        if (options.debug) {
+            console.log("Upgrade", request.url);
+        }
+        // Requests made to the proxy as if it were the server only have a path
+        toRecordedUrl(request, listener.getConfig(), options);
+        if (request.url.charAt(0) === "/") {
+            request.url = "ws://" + request.headers.host + request.url;
+        }
+        request.parsedUrl = URL.parse(request.url, true);
+        notify(options.events, "request", request, null);
+        socket.on("error", function (err) {
+            notify(options.events, "error", err, request);
+        });
+
+        var entry = /^websocket$/i.test(request.headers.upgrade) ? listener.match(request, websocket.isWebSocket) : null;
+        if (!entry) {
+            console.log("Not found:", request.url);
+            notify(options.events, "miss", request);
+            socket.end("HTTP/1.1 404 Not Found\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n404 Not found");
+            return;
+        }
+
+        notify(options.events, "match", request, entry);
+        var config = listener.getConfig();
+        webSocketServer.handleUpgrade(request, socket, head, function (ws) {
+            websocket.replay(ws, entry, {
+                speed: config.timing ? config.timing.speed : 1,
+                waitForClient: config.websockets && config.websockets.waitForClient,
+                debug: options.debug
+            });
+        });
+    };
 }
 
 // Export for testing
@@ -36,14 +439,123 @@ function makeRequestListener(entries, options) {
     var debug = options.debug;
     // for mocking
     var fs = options.fs || _fs;
+    var sequence = options.sequential ? new Sequence(options.whenExhausted) : null;
+    var events = options.events;
 
-    return function (request, response) {
+    var listener = function (request, response) {
         if (debug) {
             console.log(request.method, request.url);
         }
+        toRecordedUrl(request, config, options);
         request.parsedUrl = URL.parse(request.url, true);
+        notify(events, "request", request, response);
+
+        if (hasBody(request)) {
+            readBody(request, function (body) {
+                request.body = body;
+                onRequest(request, response);
+            });
+        } else {
+            onRequest(request, response);
+        }
+    };
+
+    /**
+     * Starts every sequence of repeated requests from its first entry again.
+     */
+    listener.resetSequences = function () {
+        if (sequence) {
+            sequence.reset();
+        }
+    };
+
+    /**
+     * @return {Array<Object>} The entries being served
+     */
+    listener.getEntries = function () {
+        return entries;
+    };
+
+    /**
+     * Serves `newEntries` from now on, starting all sequences over.
+     * @param {Array<Object>} newEntries
+     */
+    listener.setEntries = function (newEntries) {
+        entries = newEntries;
+        listener.resetSequences();
+    };
+
+    /**
+     * Uses `newConfig`, as returned by parse-config, from now on.
+     * @param {Object} newConfig
+     */
+    listener.setConfig = function (newConfig) {
+        config = newConfig;
+    };
+
+    /**
+     * @return {Object} The config in use
+     */
+    listener.getConfig = function () {
+        return config;
+    };
+
+    /**
+     * Finds the entry that best matches a request among the entries that
+     * pass `filter`, e.g. to match WebSocket upgrades.
+     * @param  {http.IncomingMessage} request With `parsedUrl`
+     * @param  {function(Object): boolean} filter
+     * @return {?Object}
+     */
+    listener.match = function (request, filter) {
+        return heuristic(entries.filter(filter), request, config.matching);
+    };
+
+    return listener;
+
+    // Calls back with what the plugins' hooks returned, unless one answered
+    // the request or failed
+    function runHook(hook, request, response, getArgs, value, callback) {
+        plugins.run(config.plugins, hook, response, getArgs, value, function (err, result, answered) {
+            if (err) {
+                servePluginError(err, request, response, events);
+            } else if (!answered) {
+                callback(result);
+            }
+        });
+    }
+
+    function onRequest(request, response) {
+        var url = request.url;
+        runHook("onRequest", request, response, function () {
+            return [request, response];
+        }, undefined, function () {
+            if (request.url !== url) {
+                request.parsedUrl = URL.parse(request.url, true);
+            }
+            injectFault(request, response);
+        });
+    }
+
+    function injectFault(request, response) {
+        var fault = faults.choose(config.faults, request);
+        if (!fault) {
+            respond(request, response);
+            return;
+        }
+        if (debug) {
+            console.log("Fault:", faults.describe(fault), "for", request.url);
+        }
+        faults.inject(fault, request, response, function () {
+            respond(request, response);
+        });
+    }
 
-        var entry = heuristic(entries, request);
+    function respond(request, response) {
+        var entry = heuristic(entries, request, config.matching);
+        if (entry && sequence) {
+            entry = sequence.next(entries, entry);
+        }
 
         var localPath;
         for (var i = 0; i < config.mappings.length; i++) {
@@ -53,10 +565,29 @@ function makeRequestListener(entries, options) {
             }
         }
 
+        if (entry) {
+            runHook("onMatch", request, response, function (entry) {
+                return [request, entry];
+            }, entry, function (entry) {
+                serve(request, response, entry, localPath);
+            });
+        } else if (!localPath) {
+            runHook("onMiss", request, response, function () {
+                return [request, response];
+            }, null, function (entry) {
+                serve(request, response, entry, localPath);
+            });
+        } else {
+            serve(request, response, entry, localPath);
+        }
+    }
+
+    function serve(request, response, entry, localPath) {
         if (localPath) {
             // If there's local content, but no entry in the HAR, create a shim
-            // entry so that we can still serve the file
-            if (!entry) {
+            // entry so that we can still serve the file. The same goes for
+            // recorded partial responses, as the file is the whole body
+            if (!entry || entry.response.status === 206) {
                 var mimeType = mime.lookup(localPath);
                 entry = {
                     response: {
@@ -77,27 +608,117 @@ function makeRequestListener(entries, options) {
             fs.readFile(localPath, function (err, content) {
                 if (err) {
                     console.error("Error: Could not read", localPath, "requested from", request.url);
+                    notify(events, "error", err, request);
                     serveError(request.url, response, null, localPath);
                     return;
                 }
 
-                entry.response.content.buffer = content;
-                serveEntry(request, response, entry, config);
+                notify(events, "local", request, localPath);
+                notify(events, "match", request, entry);
+                serveEntry(request, response, withBody(entry, content), config, events, options);
             });
+        } else if (entry) {
+            notify(events, "match", request, entry);
+            if (entry.response.status === 206) {
+                entry = range.stitch(entries, entry, request);
+            } else if (entry.response.status === 304) {
+                // The body of a 304 is the one the client had cached
+                entry = caching.resolve(entries, entry);
+            }
+            if (serveError(request.url, response, entry.response)) {
+                notify(events, "blocked", request, entry);
+            } else {
+                serveEntry(request, response, entry, config, events, options);
+            }
         } else {
-            if (!serveError(request.url, response, entry && entry.response)) {
-                serveEntry(request, response, entry, config);
+            notify(events, "miss", request);
+            serveMiss(request, response);
+        }
+    }
+
+    function describeNearMisses(request) {
+        var limit = options.nearMisses === undefined ? 3 : options.nearMisses;
+        if (!limit) {
+            return "";
+        }
+        var candidates = heuristic.candidates(entries, request, limit, config.matching);
+        if (!candidates.length) {
+            return "";
+        }
+        return "Closest recorded entries:\n" + candidates.map(function (candidate, i) {
+            var entryRequest = candidate.entry.request;
+            return (i + 1) + ". " + entryRequest.method + " " + entryRequest.url + "\n" +
+                candidate.reasons.map(function (reason) {
+                    return "   - " + reason;
+                }).join("\n");
+        }).join("\n");
+    }
+
+    function serveMiss(request, response) {
+        var miss;
+        for (var i = 0; i < (config.misses || []).length; i++) {
+            if (config.misses[i].matches(request.url)) {
+                miss = config.misses[i];
+                break;
             }
         }
 
+        if (!miss) {
+            var nearMisses = describeNearMisses(request);
+            if (debug && nearMisses) {
+                console.log(nearMisses);
+            }
+            serveError(request.url, response, null, null, nearMisses);
+        } else if (miss.policy === "respond") {
+            if (debug) {
+                console.log("Miss, responding with", miss.status + ":", request.url);
+            }
+            response.writeHead(miss.status, miss.headers);
+            response.end(miss.body);
+        } else {
+            var target = miss.policy === "fallback" ? Recorder.rebase(request.url, miss.baseUrl) : request.url;
+            if (debug) {
+                console.log("Miss, forwarding to", target);
+            }
+            Recorder.forward(request, response, target, miss, function (err, forwardedEntry) {
+                if (err) {
+                    console.error("Error: Could not forward", request.url, "to", target + ":", err.message);
+                    notify(events, "error", err, request);
+                } else if (options.missRecorder) {
+                    options.missRecorder.add(forwardedEntry);
+                }
+            });
+        }
+    }
+}
+
+// Requests made to a virtual host get the URL of the recorded host it serves,
+// and remember how the client reached the proxy to rewrite URLs in responses
+function toRecordedUrl(request, config, options) {
+    var virtualHost = virtualHosts.find(config.virtualHosts, request);
+    if (!virtualHost) {
+        return;
+    }
+    var hostname = virtualHosts.hostnameOf(request.headers.host);
+    request.proxyAddress = {
+        // Names are only meaningful for their own virtual host
+        hostname: virtualHost.name === null && hostname ? hostname : "localhost",
+        port: options.localPort || request.socket.localPort
     };
+    request.url = virtualHost.origin + request.url;
+}
+
+var BODYLESS_METHODS = /^(GET|HEAD|OPTIONS|TRACE|CONNECT)$/i;
+function hasBody(request) {
+    return !!request.method && !BODYLESS_METHODS.test(request.method);
 }
 
-function serveError(requestUrl, response, entryResponse, localPath) {
+function serveError(requestUrl, response, entryResponse, localPath, nearMisses) {
     if (!entryResponse) {
         console.log("Not found:", requestUrl);
         response.writeHead(404, "Not found", {"content-type": "text/plain"});
-        response.end("404 Not found" + (localPath ? ", while looking for " + localPath : ""));
+        response.end("404 Not found" + (localPath ? ", while looking for " + localPath : "") +
+            (nearMisses ? "\n\n" + nearMisses : ""));
         return true;
     }
 
@@ -117,7 +738,13 @@ function serveError(requestUrl, response, entryResponse, localPath) {
     return false;
 }
 
-function serveHeaders(response, entryResponse, config) {
+function serveHeaders(request, response, entry, config) {
+    var entryResponse = entry.response;
+    var context = {
+        request: request,
+        entry: entry
+    };
+    var faithful = config.caching === "faithful";
     // Not really a header, but...
     response.statusCode = (entryResponse.status === 304) ? 200 : entryResponse.status;
 
@@ -127,15 +754,16 @@ function serveHeaders(response, entryResponse, config) {
 
         var nameValuePair = {'name': name, 'value': value};
         config.responseHeaderTransforms.forEach(function(transform){
-            nameValuePair = transform(nameValuePair);
+            nameValuePair = transform(nameValuePair, context);
         })
         name = nameValuePair.name;
         value = nameValuePair.value;
 
         if (name.toLowerCase() === "content-length") continue;
         if (name.toLowerCase() === "content-encoding") continue;
-        if (name.toLowerCase() === "cache-control") continue;
-        if (name.toLowerCase() === "pragma") continue;
+        if (name.toLowerCase() === "transfer-encoding") continue;
+        if (!faithful && name.toLowerCase() === "cache-control") continue;
+        if (!faithful && name.toLowerCase() === "pragma") continue;
 
         var existing = response.getHeader(name);
         if (existing) {
@@ -149,59 +777,187 @@ function serveHeaders(response, entryResponse, config) {
         }
     }
 
-    // Try to make sure nothing is cached
-    response.setHeader("cache-control", "no-cache, no-store, must-revalidate");
-    response.setHeader("pragma", "no-cache");
+    if (!faithful) {
+        // Try to make sure nothing is cached
+        response.setHeader("cache-control", "no-cache, no-store, must-revalidate");
+        response.setHeader("pragma", "no-cache");
+    }
 }
 
-function manipulateContent(request, entry, replacements) {
-    var entryResponse = entry.response;
-    var content;
-    if (isBinary(entryResponse)) {
-        content = entryResponse.content.buffer;
+// Sends 206 with the requested ranges, or 416 if none of them exist
+function serveRanges(response, entry, body, ranges, config) {
+    var payload;
+    if (!ranges.length) {
+        response.statusCode = 416;
+        response.setHeader("content-range", "bytes */" + body.length);
+        payload = new Buffer(0);
+    } else if (ranges.length === 1) {
+        response.statusCode = 206;
+        response.setHeader("content-range", "bytes " + ranges[0].start + "-" + ranges[0].end + "/" + body.length);
+        payload = body.slice(ranges[0].start, ranges[0].end + 1);
     } else {
-        content = entryResponse.content.buffer.toString("utf8");
-        var context = {
-            request: request,
-            entry: entry
-        };
-        replacements.forEach(function (replacement) {
-            content = replacement(content, context);
-        });
+        var multipart = range.multipart(ranges.map(function (r) {
+            return {start: r.start, end: r.end, bytes: body.slice(r.start, r.end + 1)};
+        }), body.length, response.getHeader("content-type"));
+        response.statusCode = 206;
+        response.setHeader("content-type", multipart.contentType);
+        payload = multipart.body;
     }
+    response.setHeader("content-length", payload.length);
 
-    if (entryResponse.content.size > 0 && !content) {
+    if (config.timing) {
+        timing.send(response, payload, entry, config.timing.speed);
+    } else {
+        response.end(payload);
+    }
+}
+
+// Replacements only ever see text, decoded and encoded again in the charset
+// of the response
+function manipulateContent(request, entry, body, contentType, replacements) {
+    var binary = Buffer.isBuffer(body) ? !harContent.isText(contentType) : isBinary(contentType);
+    if (binary) {
+        return Buffer.isBuffer(body) ? body : new Buffer(body, "utf8");
+    }
+
+    var text = Buffer.isBuffer(body) ? harContent.decode(body, contentType) : body;
+    var context = {
+        request: request,
+        entry: entry
+    };
+    replacements.forEach(function (replacement) {
+        text = replacement(text, context);
+    });
+
+    if (entry.response.content.size > 0 && !text) {
         console.error("Error:", entry.request.url, "has a non-zero size, but there is no content in the HAR file");
     }
 
-    return content;
+    return harContent.encode(text, contentType);
 }
 
-function isBase64Encoded(entryResponse) {
-    if (!entryResponse.content.text) {
-        return false;
+// A copy of the entry that serves `body`. The loaded entry is left as it is,
+// as the mapping can be gone by its next request
+function withBody(entry, body) {
+    var copy = extend({}, entry);
+    copy.response = extend({}, entry.response);
+    copy.response.content = extend({}, entry.response.content);
+    copy.response.content.buffer = body;
+    return copy;
+}
+
+function extend(target, source) {
+    Object.keys(source).forEach(function (key) {
+        target[key] = source[key];
+    });
+    return target;
+}
+
+function servePluginError(err, request, response, events) {
+    console.error("Error:", err.message);
+    notify(events, "error", err, request);
+    if (!response.headersSent) {
+        response.writeHead(500, {"content-type": "text/plain"});
     }
-    var base64Size = entryResponse.content.size / 0.75;
-    var contentSize = entryResponse.content.text.length;
-    return contentSize && contentSize >= base64Size && contentSize <= base64Size + 4;
+    response.end("500 " + err.message);
 }
 
-// FIXME
-function isBinary(entryResponse) {
-    return /^image\/|application\/octet-stream/.test(entryResponse.content.mimeType);
+// Text without a content type has always been treated as text
+function isBinary(contentType) {
+    return !!contentType && !harContent.isText(contentType);
 }
 
-function serveEntry(request, response, entry, config) {
+function serveEntry(request, response, entry, config, events, options) {
     var entryResponse = entry.response;
-    serveHeaders(response, entryResponse, config);
+    serveHeaders(request, response, entry, config);
+    if (entry._harFile) {
+        if (options.debug) {
+            console.log("Serving", request.url, "from", entry._harFile);
+        }
+        if (options.sourceHeader) {
+            response.setHeader("x-har-source", entry._harFile);
+        }
+    }
 
-    if (!entryResponse.content.buffer) {
-        if (isBase64Encoded(entryResponse)) {
-            entryResponse.content.buffer = new Buffer(entryResponse.content.text || "", 'base64');
-        } else {
-            entryResponse.content.buffer = new Buffer(entryResponse.content.text || "", 'utf8');
+    if (config.caching === "faithful" && caching.isNotModified(request, entryResponse)) {
+        response.statusCode = 304;
+        response.removeHeader("content-type");
+        response.end();
+        return;
+    }
+
+    // Bodies are decoded for each response rather than kept, so that large
+    // HARs don't hold every body twice
+    var contentType = harContent.contentType(entryResponse);
+    var recorded = entryResponse.content.buffer || harContent.read(entryResponse.content, contentType);
+
+    var content = entryResponse.content.partial ? recorded : manipulateContent(request, entry, recorded, contentType, config.replacements);
+
+    plugins.run(config.plugins, "onResponse", response, function (body) {
+        return [request, response, body, entry];
+    }, content, function (err, body, answered) {
+        if (err) {
+            servePluginError(err, request, response, events);
+        } else if (!answered) {
+            sendContent(request, response, entry, body, contentType, config, events);
+        }
+    });
+}
+
+function sendContent(request, response, entry, content, contentType, config, events) {
+    var entryResponse = entry.response;
+
+    // Streams are sent as they were received rather than all at once, and
+    // without compression, which would hold them back
+    var speed = config.timing ? config.timing.speed : 1;
+    if (config.streaming && streaming.isEventStream(contentType)) {
+        streaming.sendEvents(request, response, Buffer.isBuffer(content) ? harContent.decode(content, contentType) : content, entry, {
+            speed: speed,
+            interval: config.streaming.interval,
+            keepOpen: config.streaming.keepOpen
+        });
+        return;
+    }
+    if (config.streaming && config.streaming.chunked && streaming.isChunked(entryResponse)) {
+        timing.send(response, content, entry, speed);
+        return;
+    }
+
+    // Ranges are served from full bodies, as they are after replacements
+    if (entryResponse.status === 200) {
+        response.setHeader("accept-ranges", "bytes");
+        var rangeHeader = request.headers && request.headers.range;
+        if (rangeHeader && range.ifRange(request, entryResponse)) {
+            var full = Buffer.isBuffer(content) ? content : new Buffer(content, "utf8");
+            var requested = range.parse(rangeHeader, full.length);
+            if (requested) {
+                serveRanges(response, entry, full, requested, config);
+                return;
+            }
         }
     }
 
-    response.end(manipulateContent(request, entry, config.replacements));
+    var encoding = compression.choose(request, entryResponse, config.compression);
+    compression.encode(content, encoding, function (err, body) {
+        if (err) {
+            console.error("Error: Could not compress", request.url, "with", encoding + ":", err.message);
+            notify(events, "error", err, request);
+            encoding = null;
+            body = content;
+        }
+        if (encoding) {
+            response.setHeader("content-encoding", encoding);
+            var vary = response.getHeader("vary");
+            if (!/accept-encoding|\*/i.test(vary || "")) {
+                response.setHeader("vary", vary ? vary + ", Accept-Encoding" : "Accept-Encoding");
+            }
+        }
+        response.setHeader("content-length", body ? Buffer.byteLength(body) : 0);
+
+        if (config.timing) {
+            timing.send(response, body, entry, config.timing.speed);
+        } else {
+            response.end(body);
+        }
+    });
 }
@@ -0,0 +1,158 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var PATH = require("path");
+var parser = require("stream-json").parser;
+var pick = require("stream-json/filters/Pick").pick;
+var streamArray = require("stream-json/streamers/StreamArray").streamArray;
+
+exports = module.exports = loadHars;
+
+/**
+ * Loads HAR files, and the .har files in directories, as layers of one HAR.
+ * Each entry is tagged with the file it came from as `_harFile` and with its
+ * layer as `_layer`. Later layers win over earlier ones when entries match a
+ * request equally well.
+ * @param  {Array<string>} paths Files and directories, in layer order
+ * @param  {function(Error, Object)} callback Called with a HAR with the
+ *         entries of all layers
+ */
+function loadHars(paths, callback) {
+    var files;
+    try {
+        files = expandPaths(paths);
+    } catch (e) {
+        callback(e);
+        return;
+    }
+
+    var entries = [];
+    next(0);
+    function next(layer) {
+        if (layer === files.length) {
+            callback(null, {
+                log: {
+                    entries: entries
+                }
+            });
+            return;
+        }
+        readEntries(files[layer], function (entry) {
+            entry._harFile = files[layer];
+            entry._layer = layer;
+            entries.push(entry);
+        }, function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            next(layer + 1);
+        });
+    }
+}
+
+// HARs smaller than this are read as one string, which JSON.parse turns into
+// entries about ten times faster than streaming does. Larger ones are
+// streamed, as they may not fit in a string at all
+exports.STREAM_SIZE = 256 * 1024 * 1024;
+
+exports.readEntries = readEntries;
+/**
+ * Reads the entries out of a HAR file, streaming them out of files of
+ * STREAM_SIZE or more.
+ * @param {string} path
+ * @param {function(Object)} onEntry Called with each entry in order
+ * @param {function(Error)} callback Called once the file has been read
+ */
+function readEntries(path, onEntry, callback) {
+    fs.stat(path, function (err, stats) {
+        if (err) {
+            callback(new Error("Could not read " + path + ": " + err.message));
+        } else if (stats.size >= exports.STREAM_SIZE) {
+            streamEntries(path, onEntry, callback);
+        } else {
+            parseEntries(path, onEntry, callback);
+        }
+    });
+}
+
+function parseEntries(path, onEntry, callback) {
+    fs.readFile(path, "utf8", function (err, text) {
+        var har;
+        try {
+            if (err) {
+                throw err;
+            }
+            har = JSON.parse(text.replace(/^\uFEFF/, ""));
+        } catch (e) {
+            callback(new Error("Could not read " + path + ": " + e.message));
+            return;
+        }
+        // The same as streaming, which finds no entries without log.entries
+        ((har && har.log && har.log.entries) || []).forEach(function (entry) {
+            onEntry(entry);
+        });
+        callback(null);
+    });
+}
+
+function streamEntries(path, onEntry, callback) {
+    var done = false;
+    function finish(err) {
+        if (!done) {
+            done = true;
+            callback(err ? new Error("Could not read " + path + ": " + err.message) : null);
+        }
+    }
+
+    var entries = fs.createReadStream(path)
+        .on("error", finish)
+        .pipe(parser())
+        .on("error", finish)
+        .pipe(pick({filter: "log.entries"}))
+        .on("error", finish)
+        .pipe(streamArray())
+        .on("error", finish);
+    entries.on("data", function (data) {
+        onEntry(data.value);
+    });
+    entries.on("end", function () {
+        finish(null);
+    });
+}
+
+exports.expandPaths = expandPaths;
+/**
+ * Replaces each directory with the .har files in it, sorted by name.
+ * @param  {Array<string>} paths
+ * @return {Array<string>}
+ */
+function expandPaths(paths) {
+    var files = [];
+    paths.forEach(function (path) {
+        if (fs.statSync(path).isDirectory()) {
+            fs.readdirSync(path).filter(function (name) {
+                return /\.har$/i.test(name);
+            }).sort().forEach(function (name) {
+                files.push(PATH.join(path, name));
+            });
+        } else {
+            files.push(path);
+        }
+    });
+    return files;
+}
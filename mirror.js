@@ -0,0 +1,217 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var URL = require("url");
+var PATH = require("path");
+var crypto = require("crypto");
+var mime = require("mime");
+var harContent = require("./content");
+var parseConfig = require("./parse-config");
+
+var CONFIG_FILE = ".server-replay.json";
+// Characters that aren't safe in file names on every platform, or that
+// would be taken for a group reference in a mapping's path
+var UNSAFE = /[\\\/:*?"<>|$\x00-\x1f]/g;
+var MAX_QUERY_LENGTH = 64;
+
+exports.CONFIG_FILE = CONFIG_FILE;
+
+/**
+ * Decides where the body of each entry goes in a mirror, as
+ * `<host>/<path>`, and which URLs can be served from those files. A URL is
+ * only mapped when all its entries have the same body and are served as
+ * recorded, so the mirror serves the same bytes as the HAR. Its other
+ * bodies are still written, with `~2`, `~3`... suffixes, for inspection.
+ * @param  {Array<Object>} entries
+ * @return {{files: Array<{path: string, entry: Object}>,
+ *         mappings: Array<{url: string, path: string}>,
+ *         unmapped: Array<string>}} Paths are relative to the mirror, and
+ *         `unmapped` are the URLs left to the HAR
+ */
+exports.plan = function (entries) {
+    var groups = {};
+    var urls = [];
+    entries.forEach(function (entry) {
+        var url = entry.request.url.replace(/#.*$/, "");
+        if (!groups[url]) {
+            groups[url] = [];
+            urls.push(url);
+        }
+        groups[url].push(entry);
+    });
+    // Deeper paths first, so a file never takes the name a directory needs
+    urls.sort(function (a, b) {
+        return depth(b) - depth(a);
+    });
+
+    var files = [];
+    var mappings = [];
+    var unmapped = [];
+    var taken = {};
+    urls.forEach(function (url) {
+        // An entry for each distinct body of the URL
+        var bodies = [];
+        var hashes = [];
+        var servedAsRecorded = true;
+        groups[url].forEach(function (entry) {
+            var response = entry.response;
+            if (response._error || !response.status || response.status === 206 || response.status === 304 || response.status === 101) {
+                servedAsRecorded = false;
+            }
+            var body = exports.body(entry);
+            var hash = crypto.createHash("sha1").update(body).digest("hex");
+            if (hashes.indexOf(hash) === -1) {
+                hashes.push(hash);
+                bodies.push({entry: entry, empty: !body.length});
+            }
+        });
+
+        var nonEmpty = bodies.filter(function (body) {
+            return !body.empty;
+        }).map(function (body) {
+            return body.entry;
+        });
+        var mapped = servedAsRecorded && bodies.length === 1 && nonEmpty.length === 1;
+        if (!mapped && nonEmpty.length) {
+            unmapped.push(url);
+        }
+        nonEmpty.forEach(function (entry) {
+            var path = uniquePath(filePath(url, harContent.contentType(entry.response)), taken);
+            files.push({path: path, entry: entry});
+            if (mapped) {
+                mappings.push({url: url, path: path});
+            }
+        });
+    });
+    return {files: files, mappings: mappings, unmapped: unmapped};
+};
+
+/**
+ * @param  {Object} entry
+ * @return {Buffer} The body of the entry as it is replayed, without
+ *         replacements
+ */
+exports.body = function (entry) {
+    var contentType = harContent.contentType(entry.response);
+    var recorded = harContent.read(entry.response.content || {}, contentType);
+    if (Buffer.isBuffer(recorded)) {
+        return recorded;
+    }
+    var encoded = harContent.encode(recorded, contentType);
+    return Buffer.isBuffer(encoded) ? encoded : new Buffer(encoded, "utf8");
+};
+
+/**
+ * @param  {Array<{url: string, path: string}>} mappings
+ * @return {Object} A config whose mappings serve each URL, over http or
+ *         https, from its file
+ */
+exports.toConfig = function (mappings) {
+    return {
+        version: 1,
+        mappings: mappings.map(function (mapping) {
+            return {
+                match: {regex: "^https?:\\/\\/" + parseConfig.escapeRegExp(mapping.url.replace(/^[a-z]+:\/\//i, "")) + "$"},
+                path: mapping.path
+            };
+        })
+    };
+};
+
+/**
+ * Writes the bodies of the entries to `dir` as planned, and a config
+ * mapping their URLs to them as CONFIG_FILE.
+ * @param {Array<Object>} entries
+ * @param {string} dir
+ * @param {function(Error, Object)} callback With the plan
+ */
+exports.write = function (entries, dir, callback) {
+    var plan = exports.plan(entries);
+    var files = plan.files.slice();
+    next();
+    function next(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (!files.length) {
+            fs.writeFile(PATH.join(dir, CONFIG_FILE), JSON.stringify(exports.toConfig(plan.mappings), null, 4) + "\n", function (err) {
+                callback(err, err ? undefined : plan);
+            });
+            return;
+        }
+        var file = files.shift();
+        var path = PATH.join(dir, file.path);
+        fs.mkdir(PATH.dirname(path), {recursive: true}, function (err) {
+            if (err) {
+                next(err);
+                return;
+            }
+            fs.writeFile(path, exports.body(file.entry), next);
+        });
+    }
+};
+
+function depth(url) {
+    return (URL.parse(url).pathname || "/").split("/").length;
+}
+
+// Hosts are directories, with paths below them. A trailing slash is an
+// index, query strings are added to the name, and names without an
+// extension get one for their content type
+function filePath(url, contentType) {
+    var parsed = URL.parse(url);
+    var segments = (parsed.pathname || "/").split("/").slice(1).map(safeName);
+    var name = segments.pop() || "index";
+    var extension = PATH.extname(name);
+    if (!extension && contentType) {
+        var guessed = mime.extension(contentType);
+        extension = guessed ? "." + guessed : "";
+    } else {
+        name = name.slice(0, name.length - extension.length);
+    }
+    if (parsed.query) {
+        name += "~" + safeName(parsed.query).slice(0, MAX_QUERY_LENGTH);
+    }
+    return [safeName(parsed.host || "_")].concat(segments, name + extension).join("/");
+}
+
+function safeName(segment) {
+    try {
+        segment = decodeURIComponent(segment);
+    } catch (e) {
+        // Keep it encoded
+    }
+    segment = segment.replace(UNSAFE, "_");
+    return segment === "." || segment === ".." ? "_" : segment;
+}
+
+// Adds ~2, ~3... before the extension until the path is neither a file nor
+// a directory yet
+function uniquePath(path, taken) {
+    var extension = PATH.extname(path);
+    var base = path.slice(0, path.length - extension.length);
+    var unique = path;
+    for (var n = 2; taken[unique]; n++) {
+        unique = base + "~" + n + extension;
+    }
+    var parts = unique.split("/");
+    for (var i = 1; i <= parts.length; i++) {
+        taken[parts.slice(0, i).join("/")] = true;
+    }
+    return unique;
+}
@@ -14,27 +14,44 @@
  * limitations under the License.
  */
 
+var PATH = require("path");
+var compression = require("./compression");
+var caching = require("./caching");
+var faults = require("./faults");
+var virtualHosts = require("./virtual-hosts");
+var plugins = require("./plugins");
+
 var matchComment = /^\s*\/\/.*$/gm;
 var alwaysTrue = function() {
     return true;
 };
 
-module.exports = function (text) {
-    if (!text) {
-        return {
-            mappings: [],
-            replacements: []
-        };
-    }
+exports = module.exports = function (text) {
+    return parseObject(exports.readJson(text));
+};
 
-    // Strip comments
-    text = text.replace(matchComment, "");
+/**
+ * Loads a `.server-replay.js` config module, which exports the same config
+ * as the JSON files, where values can also be regexes and functions, and
+ * `plugins` with hooks around serving each request, see plugins.js. The
+ * module is loaded afresh every time.
+ * @param  {string} path
+ * @return {Object}
+ */
+exports.loadModule = function (path) {
+    path = PATH.resolve(path);
+    delete require.cache[path];
+    return parseObject(require(path));
+};
 
-    var config = JSON.parse(text);
+exports.parseObject = parseObject;
+function parseObject(config) {
     if (config.version !== 1) {
         throw new Error("Unsupported config version: " + config.version);
     }
 
+    var hosts = parseVirtualHosts(config.virtualHosts);
+
     return {
         mappings: (config.mappings || []).map(function (mapping) {
             var match = parseValue(mapping.match);
@@ -93,13 +110,15 @@ module.exports = function (text) {
                     return header;
                 }
             };
-        }),
+        }).concat(hosts.length ? [function (header, context) {
+            return virtualHosts.rewriteHeader(hosts, header, context.request);
+        }] : []),
         replacements: (config.replacements || []).map(function (replacement) {
             var match = parseValue(replacement.match);
             // by default `replace` doesn't globally replace plain strings,
             // so wrap it in a regex with the global flag set
             if (typeof match === "string") {
-                match = new RegExp(escapeStringForRegExp(match), "g");
+                match = new RegExp(escapeRegExp(match), "g");
             }
             var isMatchFn = typeof match == "function";
             var replace = parseValue(replacement.replace);
@@ -108,17 +127,405 @@ module.exports = function (text) {
             return function (content, context) {
                 var _match = isMatchFn ? match(context) : match;
                 if (typeof _match === "string") {
-                    _match = new RegExp(escapeStringForRegExp(_match), "g");
+                    _match = new RegExp(escapeRegExp(_match), "g");
                 }
                 var _replace = isReplaceFn ? replace(context) : replace;
                 return content.replace(_match, _replace);
             };
-        })
+        }).concat(hosts.length ? [function (content, context) {
+            return virtualHosts.rewriteUrls(hosts, content, context.request);
+        }] : []),
+        timing: parseTiming(config.timing),
+        compression: parseCompression(config.compression),
+        caching: parseCaching(config.caching),
+        websockets: parseWebSockets(config.websockets),
+        streaming: parseStreaming(config.streaming),
+        misses: (config.misses || []).map(parseMiss),
+        faults: (config.faults || []).map(parseFault),
+        recordMisses: config.recordMisses || null,
+        matching: parseMatching(config.matching),
+        virtualHosts: hosts,
+        plugins: (config.plugins || []).map(parsePlugin),
+        redact: parseRedact(config.redact)
     };
+}
+
+/**
+ * Parses the JSON of a config file, which may contain line comments.
+ * @param  {?string} text
+ * @return {Object}
+ */
+exports.readJson = function (text) {
+    if (!text) {
+        text = '{"version": 1}';
+    }
+
+    // Strip comments
+    text = text.replace(matchComment, "");
+
+    return JSON.parse(text);
 };
 
+function parsePlugin(plugin, index) {
+    if (!plugin || typeof plugin !== "object") {
+        throw new Error("Plugin " + index + " must be an object with hooks: " + JSON.stringify(plugin));
+    }
+    plugins.HOOKS.forEach(function (hook) {
+        if (plugin[hook] !== undefined && typeof plugin[hook] !== "function") {
+            throw new Error("Plugin " + (plugin.name || index) + " " + hook + " must be a function");
+        }
+    });
+    return plugin;
+}
+
+var MISS_POLICIES = ["forward", "fallback", "respond"];
+// What to do when no entry matches a URL: forward it to its origin, forward
+// it to `baseUrl`, or respond with `status`, `headers` and `body`
+function parseMiss(miss) {
+    if (MISS_POLICIES.indexOf(miss.policy) === -1) {
+        throw new Error("Unknown miss policy: " + JSON.stringify(miss.policy) + ", expected one of " + MISS_POLICIES.join(", "));
+    }
+    if (miss.policy === "fallback" && !miss.baseUrl) {
+        throw new Error("The fallback miss policy needs a baseUrl");
+    }
+
+    return {
+        matches: toUrlMatcher(miss.match),
+        policy: miss.policy,
+        baseUrl: miss.baseUrl,
+        insecure: !!miss.insecure,
+        status: miss.status || 404,
+        headers: miss.headers || {"content-type": "text/plain"},
+        body: miss.body === undefined ? "" : (typeof miss.body === "string" ? miss.body : JSON.stringify(miss.body))
+    };
+}
+
+// Injects a fault into the responses to the URLs it matches, every time,
+// with a `probability` between 0 and 1, or on every `everyNth` of them
+function parseFault(fault) {
+    if (faults.FAULTS.indexOf(fault.fault) === -1) {
+        throw new Error("Unknown fault: " + JSON.stringify(fault.fault) + ", expected one of " + faults.FAULTS.join(", "));
+    }
+    if (fault.probability !== undefined && fault.everyNth !== undefined) {
+        throw new Error("A fault can have a probability or everyNth, not both");
+    }
+    var probability = fault.probability === undefined ? null : fault.probability;
+    if (probability !== null && (typeof probability !== "number" || !(probability >= 0 && probability <= 1))) {
+        throw new Error("Fault probability must be between 0 and 1: " + JSON.stringify(probability));
+    }
+    var everyNth = fault.everyNth === undefined ? null : fault.everyNth;
+    if (everyNth !== null && (typeof everyNth !== "number" || everyNth < 1 || Math.floor(everyNth) !== everyNth)) {
+        throw new Error("Fault everyNth must be a positive integer: " + JSON.stringify(everyNth));
+    }
+    if (fault.fault === "delay" && (typeof fault.delay !== "number" || isNaN(fault.delay) || fault.delay < 0)) {
+        throw new Error("A delay fault needs a delay in milliseconds: " + JSON.stringify(fault.delay));
+    }
+    var status = fault.status === undefined ? 503 : fault.status;
+    if (typeof status !== "number" || status < 100 || status > 599) {
+        throw new Error("Fault status must be an HTTP status: " + JSON.stringify(status));
+    }
+    var bytes = fault.bytes === undefined ? null : fault.bytes;
+    if (bytes !== null && (typeof bytes !== "number" || isNaN(bytes) || bytes < 0)) {
+        throw new Error("Fault bytes must be a number of bytes: " + JSON.stringify(bytes));
+    }
+
+    var matches = toUrlMatcher(fault.match);
+    var count = 0;
+    return {
+        triggers: function (url) {
+            if (!matches(url)) {
+                return false;
+            }
+            count++;
+            if (everyNth !== null) {
+                return count % everyNth === 0;
+            }
+            return probability === null || Math.random() < probability;
+        },
+        fault: fault.fault,
+        delay: fault.delay,
+        status: status,
+        retryAfter: fault.retryAfter === undefined ? null : fault.retryAfter,
+        bytes: bytes
+    };
+}
+
+// Matches URLs that contain a string, or match a regex, or all of them
+function toUrlMatcher(value) {
+    var match = value === undefined ? null : parseValue(value);
+    return function (url) {
+        if (match === null) {
+            return true;
+        }
+        if (match instanceof RegExp) {
+            // Global regexes keep state between calls to `test`
+            match.lastIndex = 0;
+            return match.test(url);
+        }
+        return url.indexOf(match) !== -1;
+    };
+}
+
+// Maps recorded hosts, e.g. "www.example.com" or "https://cdn.example.com",
+// to the port number or the "name[:port]" of the virtual host serving them.
+// Recorded URLs are built with the given scheme, or http
+function parseVirtualHosts(hosts) {
+    return Object.keys(hosts || {}).map(function (recorded) {
+        var match = /^(?:(https?|wss?):\/\/)?([^\/:\s]+(?::\d+)?)\/?$/i.exec(recorded);
+        if (!match) {
+            throw new Error("Virtual hosts must be recorded hosts, optionally with a scheme: " + JSON.stringify(recorded));
+        }
+        var local = hosts[recorded];
+        var name = null;
+        var port = null;
+        if (typeof local === "number" && local > 0 && local < 65536 && Math.floor(local) === local) {
+            port = local;
+        } else if (typeof local === "string" && /^[^\/:\s]+(:\d+)?$/.test(local)) {
+            name = virtualHosts.hostnameOf(local);
+            port = /:\d+$/.test(local) ? Number(local.slice(local.lastIndexOf(":") + 1)) : null;
+        } else {
+            throw new Error("Virtual host " + recorded + " must be a port or a host name: " + JSON.stringify(local));
+        }
+        var host = match[2].toLowerCase();
+        return {
+            origin: (match[1] || "http").toLowerCase() + "://" + host,
+            host: host,
+            name: name,
+            port: port,
+            pattern: virtualHosts.urlPattern(host)
+        };
+    });
+}
+
+// Without a `redact` section the redact command removes credentials and the
+// values of all cookies
+var REDACT_DEFAULTS = {
+    headers: ["Authorization", "Proxy-Authorization"],
+    cookies: [{regex: "."}]
+};
+
+exports.parseRedact = parseRedact;
+/**
+ * Parses the `redact` section, which says what the redact command removes
+ * from HARs before they are shared.
+ * @param  {Object} [redact]
+ * @param  {Array} [redact.headers] Names, or `{"regex": ...}` patterns, of
+ *         request and response headers whose values are removed
+ * @param  {Array} [redact.cookies] Same for the values of cookies
+ * @param  {Array} [redact.queryParams] Same for query params, also in URLs
+ *         in headers and in form bodies
+ * @param  {Array<string>} [redact.jsonPaths] Paths into JSON bodies, such as
+ *         "user.email" or "$.items[*].token", where `*` is any key or index
+ * @param  {Array} [redact.patterns] Strings and regexes removed from all
+ *         URLs, header values and text bodies
+ * @param  {boolean} [redact.consistent] Replace each value with a numbered
+ *         placeholder, the same one wherever the value appears
+ * @return {Object}
+ */
+function parseRedact(redact) {
+    redact = redact || {};
+    var jsonPaths = redact.jsonPaths === undefined ? [] : redact.jsonPaths;
+    if (!Array.isArray(jsonPaths)) {
+        throw new Error("redact.jsonPaths must be an array: " + JSON.stringify(jsonPaths));
+    }
+    var patterns = redact.patterns === undefined ? [] : redact.patterns;
+    if (!Array.isArray(patterns)) {
+        throw new Error("redact.patterns must be an array: " + JSON.stringify(patterns));
+    }
+
+    return {
+        header: toNameMatcher(redact.headers === undefined ? REDACT_DEFAULTS.headers : redact.headers, "redact.headers", true),
+        cookie: toNameMatcher(redact.cookies === undefined ? REDACT_DEFAULTS.cookies : redact.cookies, "redact.cookies", false),
+        queryParam: toNameMatcher(redact.queryParams, "redact.queryParams", false),
+        jsonPaths: jsonPaths.map(parseJsonPath),
+        patterns: patterns.map(function (pattern) {
+            pattern = parseValue(pattern);
+            if (typeof pattern === "string" && pattern) {
+                return new RegExp(escapeRegExp(pattern), "g");
+            }
+            if (pattern instanceof RegExp) {
+                return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + "g");
+            }
+            throw new Error("redact.patterns must contain strings or regexes: " + JSON.stringify(pattern));
+        }),
+        consistent: !!redact.consistent
+    };
+}
+
+// "$.items[*].token" becomes ["items", "*", "token"]
+function parseJsonPath(path) {
+    if (typeof path !== "string") {
+        throw new Error("redact.jsonPaths must contain strings: " + JSON.stringify(path));
+    }
+    var segments = path.replace(/\[(\d+|\*)\]/g, ".$1").replace(/^\$?\./, "").split(".");
+    if (segments.some(function (segment) {
+        return !segment;
+    })) {
+        throw new Error("Invalid JSON path in redact.jsonPaths: " + JSON.stringify(path));
+    }
+    return segments;
+}
+
+var MATCHING_WEIGHTS = {
+    // method, host and pathname all matching
+    requirements: 1,
+    queryParam: 1,
+    missingQueryParam: -0.5,
+    header: 1,
+    // the whole body, when it isn't form params or a JSON object
+    body: 1,
+    bodyField: 1,
+    missingBodyField: -0.5
+};
+
+exports.parseMatching = parseMatching;
+/**
+ * Parses the `matching` section, which tunes how the heuristic scores
+ * entries. Without one, requests are matched as they always have been.
+ * @param  {Object} [matching]
+ * @param  {Array} [matching.ignoreQueryParams] Names, or `{"regex": ...}`
+ *         patterns, of query params that don't count, e.g. cache busters
+ * @param  {Array} [matching.ignoreHeaders] Same for request headers
+ * @param  {Object} [matching.hostAliases] Maps hosts to the recorded host
+ *         they stand in for, e.g. `{"staging.cdn.com": "cdn.com"}`
+ * @param  {boolean} [matching.stripProtocol] Whether query and header values
+ *         that only differ in http vs https are equal, true by default
+ * @param  {Object} [matching.weights] Overrides MATCHING_WEIGHTS
+ * @param  {Object} [matching.exact] `queryParams` and `headers` that must
+ *         have the recorded value, and `body: true` to require the recorded
+ *         body, for an entry to match at all
+ * @return {Object}
+ */
+function parseMatching(matching) {
+    matching = matching || {};
+    var hostAliases = {};
+    Object.keys(matching.hostAliases || {}).forEach(function (alias) {
+        hostAliases[alias.toLowerCase()] = String(matching.hostAliases[alias]).toLowerCase();
+    });
+
+    var weights = {};
+    Object.keys(MATCHING_WEIGHTS).forEach(function (name) {
+        weights[name] = MATCHING_WEIGHTS[name];
+    });
+    Object.keys(matching.weights || {}).forEach(function (name) {
+        var weight = matching.weights[name];
+        if (!MATCHING_WEIGHTS.hasOwnProperty(name)) {
+            throw new Error("Unknown matching weight: " + name + ", expected one of " + Object.keys(MATCHING_WEIGHTS).join(", "));
+        }
+        if (typeof weight !== "number" || isNaN(weight)) {
+            throw new Error("matching.weights." + name + " must be a number: " + JSON.stringify(weight));
+        }
+        weights[name] = weight;
+    });
+
+    var exact = matching.exact || {};
+    return {
+        ignoreQueryParam: toNameMatcher(matching.ignoreQueryParams, "matching.ignoreQueryParams", false),
+        ignoreHeader: toNameMatcher(matching.ignoreHeaders, "matching.ignoreHeaders", true),
+        exactQueryParam: toNameMatcher(exact.queryParams, "matching.exact.queryParams", false),
+        exactHeader: toNameMatcher(exact.headers, "matching.exact.headers", true),
+        exactBody: !!exact.body,
+        host: function (host) {
+            if (!host) {
+                return host;
+            }
+            host = host.toLowerCase();
+            return hostAliases.hasOwnProperty(host) ? hostAliases[host] : host;
+        },
+        stripProtocol: matching.stripProtocol !== false,
+        weights: weights
+    };
+}
+
+// Turns a list of names and `{"regex": ...}` patterns into a test for names
+function toNameMatcher(values, description, ignoreCase) {
+    if (values === undefined) {
+        values = [];
+    }
+    if (!Array.isArray(values)) {
+        throw new Error(description + " must be an array: " + JSON.stringify(values));
+    }
+    var names = [];
+    var patterns = [];
+    values.forEach(function (value) {
+        value = parseValue(value);
+        if (value instanceof RegExp) {
+            patterns.push(new RegExp(value.source, value.flags.replace("g", "") + (ignoreCase && !value.ignoreCase ? "i" : "")));
+        } else if (typeof value === "string") {
+            names.push(ignoreCase ? value.toLowerCase() : value);
+        } else {
+            throw new Error(description + " must contain names or regexes: " + JSON.stringify(value));
+        }
+    });
+    return function (name) {
+        return names.indexOf(ignoreCase ? name.toLowerCase() : name) !== -1 || patterns.some(function (pattern) {
+            return pattern.test(name);
+        });
+    };
+}
+
+// `true` replays at the recorded speed, `{"speed": 2}` twice as fast
+function parseTiming(timing) {
+    if (!timing) {
+        return null;
+    }
+    var speed = timing.speed === undefined ? 1 : timing.speed;
+    if (typeof speed !== "number" || isNaN(speed) || speed <= 0) {
+        throw new Error("timing.speed must be a positive number: " + JSON.stringify(timing.speed));
+    }
+    return {
+        speed: speed
+    };
+}
+
+// `{"waitForClient": true}` holds each recorded server frame back until the
+// client has sent the frames recorded before it
+function parseWebSockets(websockets) {
+    websockets = websockets || {};
+    return {
+        waitForClient: !!websockets.waitForClient
+    };
+}
+
+// Server-Sent Events are streamed with `true` or an object, and otherwise
+// sent whole. `interval` sends events that many milliseconds apart instead of
+// over the recorded time, `keepOpen: false` ends the response after the last
+// event and `chunked` also streams responses recorded with chunked transfer
+// encoding
+function parseStreaming(streaming) {
+    if (streaming === false || streaming === undefined || streaming === null) {
+        return null;
+    }
+    streaming = streaming === true ? {} : streaming;
+    var interval = streaming.interval === undefined ? null : streaming.interval;
+    if (interval !== null && (typeof interval !== "number" || isNaN(interval) || interval < 0)) {
+        throw new Error("streaming.interval must be a number of milliseconds: " + JSON.stringify(streaming.interval));
+    }
+    return {
+        interval: interval,
+        keepOpen: streaming.keepOpen !== false,
+        chunked: !!streaming.chunked
+    };
+}
+
+function parseCompression(mode) {
+    mode = mode || "negotiate";
+    if (compression.MODES.indexOf(mode) === -1) {
+        throw new Error("Unknown compression: " + JSON.stringify(mode) + ", expected one of " + compression.MODES.join(", "));
+    }
+    return mode;
+}
+
+function parseCaching(mode) {
+    mode = mode || "prevent";
+    if (caching.MODES.indexOf(mode) === -1) {
+        throw new Error("Unknown caching: " + JSON.stringify(mode) + ", expected one of " + caching.MODES.join(", "));
+    }
+    return mode;
+}
+
 function parseValue(value) {
-    if (typeof value === "object") {
+    if (typeof value === "object" && !(value instanceof RegExp)) {
         if (value.regex) {
             // global regex by default
             return new RegExp(value.regex, value.flags || "g");
@@ -152,7 +559,13 @@ function getPath(context, path) {
     return undefined;
 }
 
-// from http://stackoverflow.com/questions/3446170/escape-string-for-use-in-javascript-regex
-function escapeStringForRegExp(str) {
+/**
+ * From http://stackoverflow.com/questions/3446170/escape-string-for-use-in-javascript-regex
+ * @param  {string} str
+ * @return {string} The string, with the characters that are special in
+ *         regular expressions escaped
+ */
+exports.escapeRegExp = escapeRegExp;
+function escapeRegExp(str) {
   return str.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&");
 }
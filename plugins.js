@@ -0,0 +1,104 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Plugins come from `.server-replay.js` config modules, in order, with any of
+// these hooks. Each can return a promise, and can answer the request itself
+// by ending the response, after which the rest aren't called.
+//  - onRequest(request, response) before matching, and can change the
+//    request, e.g. its url or headers
+//  - onMatch(request, entry) returns the entry to serve instead, if any
+//  - onMiss(request, response) when nothing matched, returns an entry to
+//    serve instead, if any
+//  - onResponse(request, response, body, entry) before the body is sent,
+//    returns the body to send instead, if any. The status and headers can
+//    still be changed on the response
+// Entries that hooks return need a response with a status, headers and
+// content, like recorded ones. WebSocket upgrades don't go through plugins.
+var HOOKS = ["onRequest", "onMatch", "onMiss", "onResponse"];
+var ENTRY_HOOKS = ["onMatch", "onMiss"];
+
+exports.HOOKS = HOOKS;
+
+/**
+ * Calls `hook` of each plugin in turn, with what the previous ones returned.
+ * @param {Array<Object>} plugins
+ * @param {string} hook One of HOOKS
+ * @param {http.ServerResponse} response Once it has been answered no more
+ *        hooks are called
+ * @param {function(*): Array} getArgs Arguments for the hook, given the
+ *        current value
+ * @param {*} value Replaced by what hooks return, unless undefined
+ * @param {function(Error, *, boolean)} callback With the final value, and
+ *        whether a plugin answered the request
+ */
+exports.run = function (plugins, hook, response, getArgs, value, callback) {
+    plugins = plugins || [];
+    var index = 0;
+    next();
+    function next() {
+        if (isAnswered(response)) {
+            callback(null, value, true);
+            return;
+        }
+        while (index < plugins.length && typeof plugins[index][hook] !== "function") {
+            index++;
+        }
+        if (index === plugins.length) {
+            callback(null, value, false);
+            return;
+        }
+        var plugin = plugins[index++];
+        new Promise(function (resolve) {
+            resolve(plugin[hook].apply(plugin, getArgs(value)));
+        }).then(function (result) {
+            if (result !== undefined) {
+                if (ENTRY_HOOKS.indexOf(hook) !== -1) {
+                    checkEntry(result);
+                }
+                value = result;
+            }
+        }).then(function () {
+            // Outside the promise, so that what the next hooks and the
+            // callback throw isn't taken for a failure of this plugin
+            process.nextTick(next);
+        }, function (err) {
+            err = err instanceof Error ? err : new Error(String(err));
+            err.message = "Plugin " + (plugin.name || plugins.indexOf(plugin)) + " failed in " + hook + ": " + err.message;
+            process.nextTick(callback, err, value, false);
+        });
+    }
+};
+
+// Throws unless the entry has what serving it needs
+function checkEntry(entry) {
+    var response = entry && entry.response;
+    if (!response || typeof response !== "object") {
+        throw new Error("Returned an entry without a response");
+    }
+    if (typeof response.status !== "number") {
+        throw new Error("Returned an entry without a numeric response.status");
+    }
+    if (!Array.isArray(response.headers)) {
+        throw new Error("Returned an entry without a response.headers array");
+    }
+    if (!response.content || typeof response.content !== "object") {
+        throw new Error("Returned an entry without a response.content object");
+    }
+}
+
+function isAnswered(response) {
+    return !!response && (response.headersSent || response.writableEnded);
+}
@@ -0,0 +1,269 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var crypto = require("crypto");
+var harContent = require("./content");
+
+var RANGE_SPEC = /^\s*(\d*)\s*-\s*(\d*)\s*$/;
+var CONTENT_RANGE = /^\s*bytes\s+(\d+)\s*-\s*(\d+)\s*\/\s*(\d+|\*)\s*$/i;
+// Requests for more ranges than this, once overlapping ones are merged, get
+// the full body, as each part adds its own headers
+var MAX_RANGES = 16;
+
+/**
+ * Parses a Range header.
+ * @param  {string} [header] e.g. "bytes=0-499, -500"
+ * @param  {number} size Length of the full body
+ * @return {?Array<{start: number, end: number}>} The satisfiable ranges,
+ *         inclusive, in order with overlapping and adjacent ones merged,
+ *         empty if there are none, or null if the header is missing,
+ *         malformed or asks for too many ranges and the full body should be
+ *         sent
+ */
+exports.parse = function (header, size) {
+    if (!header) {
+        return null;
+    }
+    var index = header.indexOf("=");
+    if (index === -1 || header.slice(0, index).trim().toLowerCase() !== "bytes") {
+        return null;
+    }
+
+    var ranges = [];
+    var specs = header.slice(index + 1).split(",");
+    for (var i = 0; i < specs.length; i++) {
+        var match = RANGE_SPEC.exec(specs[i]);
+        if (!match || (match[1] === "" && match[2] === "")) {
+            return null;
+        }
+        var start, end;
+        if (match[1] === "") {
+            // The last bytes
+            start = Math.max(0, size - Number(match[2]));
+            end = Number(match[2]) > 0 ? size - 1 : -1;
+        } else {
+            start = Number(match[1]);
+            end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+            if (match[2] !== "" && Number(match[2]) < start) {
+                return null;
+            }
+        }
+        if (start < size && end >= start) {
+            ranges.push({start: start, end: end});
+        }
+    }
+    // Otherwise a short header could ask for the same bytes many times over
+    ranges = merge(ranges);
+    return ranges.length > MAX_RANGES ? null : ranges;
+};
+
+/**
+ * @param  {http.IncomingMessage} request
+ * @param  {Object} entryResponse
+ * @return {boolean} Whether the Range header applies, which it doesn't when
+ *         If-Range names another version than the recorded one
+ */
+exports.ifRange = function (request, entryResponse) {
+    var ifRange = request.headers && request.headers["if-range"];
+    if (!ifRange) {
+        return true;
+    }
+    var validator = /^\s*(W\/)?"/.test(ifRange) ? harContent.header(entryResponse, "etag") : harContent.header(entryResponse, "last-modified");
+    // Weak ETags never match
+    return !!validator && validator === ifRange.trim() && !/^W\//.test(validator);
+};
+
+/**
+ * Parses the Content-Range header of a recorded partial response.
+ * @param  {Object} entryResponse
+ * @return {?{start: number, end: number, size: ?number}}
+ */
+exports.contentRange = contentRange;
+function contentRange(entryResponse) {
+    var match = CONTENT_RANGE.exec(harContent.header(entryResponse, "content-range") || "");
+    if (!match || Number(match[2]) < Number(match[1])) {
+        return null;
+    }
+    return {
+        start: Number(match[1]),
+        end: Number(match[2]),
+        size: match[3] === "*" ? null : Number(match[3])
+    };
+}
+
+/**
+ * Combines the recorded 206 responses for the URL of `entry` into one 200
+ * response when they have the bytes of the whole body. Ranges of the
+ * combined response are then served from it. When they only have the bytes
+ * of every range the request asks for, those ranges are put together as a
+ * 206 response, as the full body can be far larger than what was recorded.
+ * @param  {Array<Object>} entries
+ * @param  {Object} entry A recorded 206 entry that matched the request
+ * @param  {http.IncomingMessage} request
+ * @return {Object} The combined entry, or `entry` to serve it as recorded
+ */
+exports.stitch = function (entries, entry, request) {
+    var first = contentRange(entry.response);
+    if (!first || first.size === null) {
+        return entry;
+    }
+    var size = first.size;
+    var parts = [];
+    entries.forEach(function (other) {
+        if (other.request.method !== entry.request.method || other.request.url !== entry.request.url || other.response.status !== 206) {
+            return;
+        }
+        var range = contentRange(other.response);
+        if (!range || range.size !== size || range.end >= size) {
+            return;
+        }
+        var bytes = toBuffer(other.response);
+        if (bytes.length !== range.end - range.start + 1) {
+            return;
+        }
+        parts.push({start: range.start, end: range.end, bytes: bytes});
+    });
+
+    var headers = entry.response.headers.filter(function (h) {
+        return h.name.toLowerCase() !== "content-range";
+    });
+    if (isCovered(parts, {start: 0, end: size - 1})) {
+        // The parts have every byte, so the body is no larger than they are
+        return toEntry(entry, 200, "OK", headers, join(parts, {start: 0, end: size - 1}), false);
+    }
+
+    var requested = exports.ifRange(request, entry.response) ? exports.parse(request.headers && request.headers.range, size) : null;
+    if (!requested || !requested.every(function (range) {
+        return isCovered(parts, range);
+    })) {
+        return entry;
+    }
+    if (!requested.length) {
+        headers.push({name: "Content-Range", value: "bytes */" + size});
+        return toEntry(entry, 416, "Range Not Satisfiable", headers, new Buffer(0), true);
+    }
+    if (requested.length === 1) {
+        headers.push({name: "Content-Range", value: "bytes " + requested[0].start + "-" + requested[0].end + "/" + size});
+        return toEntry(entry, 206, "Partial Content", headers, join(parts, requested[0]), true);
+    }
+    var multipart = exports.multipart(requested.map(function (range) {
+        return {start: range.start, end: range.end, bytes: join(parts, range)};
+    }), size, harContent.contentType(entry.response));
+    headers = headers.filter(function (h) {
+        return h.name.toLowerCase() !== "content-type";
+    });
+    headers.push({name: "Content-Type", value: multipart.contentType});
+    return toEntry(entry, 206, "Partial Content", headers, multipart.body, true);
+};
+
+/**
+ * Builds a multipart/byteranges body for several ranges.
+ * @param  {Array<{start: number, end: number, bytes: Buffer}>} parts The
+ *         bytes of each range
+ * @param  {number} size Length of the full body
+ * @param  {string} [contentType] Of the full body
+ * @return {{contentType: string, body: Buffer}}
+ */
+exports.multipart = function (parts, size, contentType) {
+    var boundary = crypto.randomBytes(12).toString("hex");
+    var chunks = [];
+    parts.forEach(function (part) {
+        chunks.push(new Buffer("--" + boundary + "\r\n" +
+            (contentType ? "Content-Type: " + contentType + "\r\n" : "") +
+            "Content-Range: bytes " + part.start + "-" + part.end + "/" + size + "\r\n\r\n"));
+        chunks.push(part.bytes);
+        chunks.push(new Buffer("\r\n"));
+    });
+    chunks.push(new Buffer("--" + boundary + "--\r\n"));
+    return {
+        contentType: "multipart/byteranges; boundary=" + boundary,
+        body: Buffer.concat(chunks)
+    };
+};
+
+// The bytes of a range the parts cover
+function join(parts, range) {
+    var body = new Buffer(range.end - range.start + 1);
+    parts.forEach(function (part) {
+        var start = Math.max(part.start, range.start);
+        var end = Math.min(part.end, range.end);
+        if (start <= end) {
+            part.bytes.copy(body, start - range.start, start - part.start, end - part.start + 1);
+        }
+    });
+    return body;
+}
+
+function toEntry(entry, status, statusText, headers, body, partial) {
+    return {
+        request: entry.request,
+        response: {
+            status: status,
+            statusText: statusText,
+            headers: headers,
+            content: {
+                size: body.length,
+                mimeType: entry.response.content.mimeType,
+                buffer: body,
+                // Replacements would move the bytes of a part of a body
+                partial: partial
+            }
+        },
+        timings: entry.timings,
+        _harFile: entry._harFile,
+        _layer: entry._layer
+    };
+}
+
+function merge(ranges) {
+    var merged = [];
+    ranges.slice().sort(function (a, b) {
+        return a.start - b.start;
+    }).forEach(function (range) {
+        var last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({start: range.start, end: range.end});
+        }
+    });
+    return merged;
+}
+
+function isCovered(covered, range) {
+    // Walk forward through the parts that continue the covered bytes
+    var next = range.start;
+    var extended = true;
+    while (extended && next <= range.end) {
+        extended = false;
+        for (var i = 0; i < covered.length; i++) {
+            if (covered[i].start <= next && covered[i].end >= next) {
+                next = covered[i].end + 1;
+                extended = true;
+            }
+        }
+    }
+    return next > range.end;
+}
+
+function toBuffer(entryResponse) {
+    var contentType = harContent.contentType(entryResponse);
+    var body = harContent.read(entryResponse.content, contentType);
+    if (!Buffer.isBuffer(body)) {
+        body = harContent.encode(body, contentType);
+    }
+    return Buffer.isBuffer(body) ? body : new Buffer(body, "utf8");
+}
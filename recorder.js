@@ -0,0 +1,329 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var http = require("http");
+var https = require("https");
+var zlib = require("zlib");
+var URL = require("url");
+var querystring = require("querystring");
+var readBody = require("./read-body");
+var harContent = require("./content");
+var pkg = require("./package.json");
+
+// Connection specific headers that must not be forwarded
+var HOP_BY_HOP = /^(connection|keep-alive|proxy-connection|proxy-authenticate|proxy-authorization|te|trailers?|transfer-encoding|upgrade)$/i;
+
+var decoders = {
+    gzip: zlib.gunzipSync,
+    "x-gzip": zlib.gunzipSync,
+    deflate: zlib.inflateSync,
+    br: zlib.brotliDecompressSync
+};
+
+exports = module.exports = Recorder;
+
+/**
+ * Collects exchanges forwarded to the upstream as HAR 1.2 entries.
+ */
+function Recorder() {
+    this.entries = [];
+}
+
+/**
+ * @param {Object} entry
+ */
+Recorder.prototype.add = function (entry) {
+    this.entries.push(entry);
+};
+
+/**
+ * @return {Object} A HAR containing the recorded entries
+ */
+Recorder.prototype.toHar = function () {
+    return {
+        log: {
+            version: "1.2",
+            creator: {
+                name: pkg.name,
+                version: pkg.version
+            },
+            pages: [],
+            entries: this.entries
+        }
+    };
+};
+
+/**
+ * Writes the recorded HAR to `path`.
+ * @param {string} path
+ * @param {function(Error)} callback
+ */
+Recorder.prototype.write = function (path, callback) {
+    fs.writeFile(path, JSON.stringify(this.toHar(), null, 2), callback);
+};
+
+/**
+ * Creates a request listener that forwards every request and records it.
+ * @param  {Recorder} recorder
+ * @param  {Object} options
+ * @param  {string} [options.upstream] Base URL to forward to instead of the
+ *                                     requested host, e.g. a local server
+ * @param  {boolean} [options.insecure] Don't verify upstream certificates
+ * @param  {boolean} [options.debug]
+ * @return {function(http.IncomingMessage, http.ServerResponse)}
+ */
+exports.makeRequestListener = function (recorder, options) {
+    return function (request, response) {
+        if (options.debug) {
+            console.log(request.method, request.url);
+        }
+        // Requests made to the proxy as if it were the server only have a path
+        if (request.url.charAt(0) === "/") {
+            request.url = "http://" + request.headers.host + request.url;
+        }
+        var target = options.upstream ? rebase(request.url, options.upstream) : request.url;
+        forward(request, response, target, options, function (err, entry) {
+            if (err) {
+                console.error("Error: Could not forward", request.url, "to", target + ":", err.message);
+                return;
+            }
+            recorder.add(entry);
+        });
+    };
+};
+
+exports.forward = forward;
+/**
+ * Sends the request to `target`, streams the upstream response back to the
+ * client and calls back with a HAR entry for the exchange. The recorded URL
+ * is the requested one, not `target`, so that the entry replays for the
+ * same request. Uses `request.body` if the body has already been read.
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {string} target Absolute URL
+ * @param {Object} options
+ * @param {function(Error, Object)} callback
+ */
+function forward(request, response, target, options, callback) {
+    if (request.body) {
+        send(request.body);
+    } else {
+        readBody(request, send);
+    }
+
+    function send(body) {
+        var started = new Date();
+        var sent, waited;
+        var parsedTarget = URL.parse(target);
+        var headers = {};
+        Object.keys(request.headers).forEach(function (name) {
+            if (!HOP_BY_HOP.test(name)) {
+                headers[name] = request.headers[name];
+            }
+        });
+
+        var upstreamRequest = (parsedTarget.protocol === "https:" ? https : http).request({
+            method: request.method,
+            hostname: parsedTarget.hostname,
+            port: parsedTarget.port,
+            path: parsedTarget.path,
+            headers: headers,
+            rejectUnauthorized: !options.insecure
+        }, function (upstreamResponse) {
+            waited = new Date();
+            sent = sent || waited;
+            var responseHeaders = {};
+            Object.keys(upstreamResponse.headers).forEach(function (name) {
+                if (!HOP_BY_HOP.test(name)) {
+                    responseHeaders[name] = upstreamResponse.headers[name];
+                }
+            });
+            response.writeHead(upstreamResponse.statusCode, upstreamResponse.statusMessage, responseHeaders);
+
+            var responseChunks = [];
+            upstreamResponse.on("data", function (chunk) {
+                responseChunks.push(chunk);
+                response.write(chunk);
+            });
+            upstreamResponse.on("end", function () {
+                response.end();
+                var received = new Date();
+                callback(null, toEntry(request, body, upstreamResponse, Buffer.concat(responseChunks), {
+                    started: started,
+                    send: sent - started,
+                    wait: waited - sent,
+                    receive: received - waited
+                }));
+            });
+        });
+        upstreamRequest.on("error", function (err) {
+            if (!response.headersSent) {
+                response.writeHead(502, "Bad Gateway", {"content-type": "text/plain"});
+            }
+            response.end("502 Bad Gateway: " + err.message);
+            callback(err);
+        });
+        upstreamRequest.end(body, function () {
+            sent = new Date();
+        });
+    }
+}
+
+exports.rebase = rebase;
+/**
+ * Replaces the origin of `url` with `base`.
+ * @param  {string} url
+ * @param  {string} base e.g. "http://localhost:3000"
+ * @return {string}
+ */
+function rebase(url, base) {
+    var parsed = URL.parse(url);
+    return base.replace(/\/$/, "") + parsed.path;
+}
+
+exports.toEntry = toEntry;
+function toEntry(request, body, upstreamResponse, responseBody, timings) {
+    var requestHeaders = toNameValues(request.rawHeaders);
+    var responseHeaders = toNameValues(upstreamResponse.rawHeaders);
+    var parsedUrl = URL.parse(request.url, true);
+    var requestType = request.headers["content-type"];
+    var responseType = upstreamResponse.headers["content-type"] || "";
+
+    var entry = {
+        startedDateTime: timings.started.toISOString(),
+        time: timings.send + timings.wait + timings.receive,
+        request: {
+            method: request.method,
+            url: request.url,
+            httpVersion: "HTTP/" + request.httpVersion,
+            cookies: parseCookieHeader(request.headers.cookie),
+            headers: requestHeaders,
+            queryString: Object.keys(parsedUrl.query).map(function (name) {
+                return {name: name, value: String(parsedUrl.query[name])};
+            }),
+            headersSize: -1,
+            bodySize: body.length
+        },
+        response: {
+            status: upstreamResponse.statusCode,
+            statusText: upstreamResponse.statusMessage || "",
+            httpVersion: "HTTP/" + upstreamResponse.httpVersion,
+            cookies: [].concat(upstreamResponse.headers["set-cookie"] || []).map(parseSetCookie),
+            headers: responseHeaders,
+            content: toContent(responseBody, responseType, upstreamResponse.headers["content-encoding"]),
+            redirectURL: upstreamResponse.headers.location || "",
+            headersSize: -1,
+            bodySize: responseBody.length
+        },
+        cache: {},
+        timings: {
+            blocked: -1,
+            dns: -1,
+            connect: -1,
+            ssl: -1,
+            send: timings.send,
+            wait: timings.wait,
+            receive: timings.receive
+        }
+    };
+
+    if (body.length) {
+        entry.request.postData = {
+            mimeType: requestType || "",
+            text: body.toString("utf8")
+        };
+        if (/application\/x-www-form-urlencoded/i.test(requestType)) {
+            var params = querystring.parse(entry.request.postData.text);
+            entry.request.postData.params = [];
+            Object.keys(params).forEach(function (name) {
+                [].concat(params[name]).forEach(function (value) {
+                    entry.request.postData.params.push({name: name, value: value});
+                });
+            });
+        }
+    }
+
+    return entry;
+}
+
+// HAR content holds the decoded body, as text when it is text in its charset
+// and base64 encoded otherwise
+function toContent(body, mimeType, contentEncoding) {
+    var decode = decoders[(contentEncoding || "").trim().toLowerCase()];
+    if (decode) {
+        try {
+            body = decode(body);
+        } catch (e) {
+            console.error("Error: Could not decode", contentEncoding, "body:", e.message);
+        }
+    }
+
+    var content = {
+        size: body.length,
+        mimeType: mimeType
+    };
+    var text = harContent.isText(mimeType) ? harContent.decode(body, mimeType) : null;
+    var encoded = text === null ? null : harContent.encode(text, mimeType);
+    if (encoded !== null && (Buffer.isBuffer(encoded) ? encoded : new Buffer(encoded, "utf8")).equals(body)) {
+        content.text = text;
+    } else if (body.length) {
+        content.text = body.toString("base64");
+        content.encoding = "base64";
+    }
+    return content;
+}
+
+function toNameValues(rawHeaders) {
+    var headers = [];
+    for (var i = 0; i < rawHeaders.length; i += 2) {
+        headers.push({name: rawHeaders[i], value: rawHeaders[i + 1]});
+    }
+    return headers;
+}
+
+function parseCookieHeader(header) {
+    if (!header) {
+        return [];
+    }
+    return header.split(/;\s*/).filter(Boolean).map(function (pair) {
+        var index = pair.indexOf("=");
+        return index === -1 ? {name: pair, value: ""} : {name: pair.slice(0, index), value: pair.slice(index + 1)};
+    });
+}
+
+function parseSetCookie(header) {
+    var parts = header.split(/;\s*/);
+    var cookie = parseCookieHeader(parts[0])[0] || {name: "", value: ""};
+    parts.slice(1).forEach(function (attribute) {
+        var index = attribute.indexOf("=");
+        var name = (index === -1 ? attribute : attribute.slice(0, index)).toLowerCase();
+        var value = index === -1 ? true : attribute.slice(index + 1);
+        if (name === "path" || name === "domain") {
+            cookie[name] = value;
+        } else if (name === "expires") {
+            var expires = new Date(value);
+            if (!isNaN(expires)) {
+                cookie.expires = expires.toISOString();
+            }
+        } else if (name === "httponly") {
+            cookie.httpOnly = true;
+        } else if (name === "secure") {
+            cookie.secure = true;
+        }
+    });
+    return cookie;
+}
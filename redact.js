@@ -0,0 +1,288 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var harContent = require("./content");
+var parseConfig = require("./parse-config");
+
+// Redacted values are replaced with PLACEHOLDER, or with __REDACTED_1__,
+// __REDACTED_2__... when placeholders are consistent. They only use
+// characters that are safe in URLs, so they don't need encoding
+var PLACEHOLDER = "__REDACTED__";
+var PLACEHOLDERS = /__REDACTED(?:_\d+)?__/g;
+var WHOLE_PLACEHOLDER = /^__REDACTED(?:_\d+)?__$/;
+// Headers whose values are URLs, with query params to redact
+var URL_HEADERS = ["location", "referer", "content-location"];
+
+exports.PLACEHOLDER = PLACEHOLDER;
+
+/**
+ * Removes what the rules say from a HAR: the values of headers, cookies and
+ * query params by name, values in JSON bodies by path, and text matching
+ * patterns anywhere in URLs, headers and text bodies.
+ * @param  {Object} har Left as it is
+ * @param  {Object} rules The `redact` config, as parsed by parse-config
+ * @return {{har: Object, count: number}} The redacted copy of the HAR, and
+ *         how many different values were redacted
+ */
+exports.redact = function (har, rules) {
+    har = JSON.parse(JSON.stringify(har));
+    var placeholders = {};
+    var count = 0;
+    var redactor = {
+        rules: rules,
+        // The same value always gets the same placeholder
+        placeholder: function (value) {
+            var key = typeof value === "string" ? value : JSON.stringify(value);
+            if (!Object.prototype.hasOwnProperty.call(placeholders, key)) {
+                count++;
+                placeholders[key] = rules.consistent ? "__REDACTED_" + count + "__" : PLACEHOLDER;
+            }
+            return placeholders[key];
+        }
+    };
+
+    (har.log.pages || []).forEach(function (page) {
+        if (typeof page.title === "string") {
+            page.title = redactUrl(page.title, redactor);
+        }
+    });
+    har.log.entries.forEach(function (entry) {
+        redactRequest(entry.request, redactor);
+        if (entry.response) {
+            redactResponse(entry.response, redactor);
+        }
+        (entry._webSocketMessages || []).forEach(function (message) {
+            if (typeof message.data === "string" && message.opcode !== 2) {
+                message.data = redactText(redactJson(message.data, redactor), redactor);
+            }
+        });
+    });
+    return {har: har, count: count};
+};
+
+/**
+ * @param  {*} value
+ * @return {boolean} Whether a recorded value contains placeholders
+ */
+exports.isRedacted = isRedacted;
+function isRedacted(value) {
+    PLACEHOLDERS.lastIndex = 0;
+    return typeof value === "string" && PLACEHOLDERS.test(value);
+}
+
+/**
+ * Compares a recorded value with a requested one, where the placeholders in
+ * the recorded value stand for any text, as they could have been anything.
+ * @param  {string} recorded
+ * @param  {string} value
+ * @return {boolean}
+ */
+exports.matches = function (recorded, value) {
+    recorded = String(recorded);
+    value = String(value);
+    if (recorded === value || WHOLE_PLACEHOLDER.test(recorded)) {
+        return true;
+    }
+    if (!isRedacted(recorded)) {
+        return false;
+    }
+    var pattern = recorded.split(PLACEHOLDERS).map(parseConfig.escapeRegExp).join("[\\s\\S]*?");
+    return new RegExp("^" + pattern + "$").test(value);
+};
+
+function redactRequest(request, redactor) {
+    request.url = redactUrl(request.url, redactor);
+    (request.queryString || []).forEach(function (param) {
+        redactParam(param, redactor);
+    });
+    redactHeaders(request.headers, redactor);
+    redactCookies(request.cookies, "cookie", redactor);
+
+    var postData = request.postData;
+    if (postData) {
+        (postData.params || []).forEach(function (param) {
+            redactParam(param, redactor);
+        });
+        if (typeof postData.text === "string") {
+            postData.text = redactBody(postData.text, postData.mimeType, redactor);
+        }
+    }
+}
+
+function redactResponse(response, redactor) {
+    redactHeaders(response.headers, redactor);
+    redactCookies(response.cookies, "set-cookie", redactor);
+    if (response.redirectURL) {
+        response.redirectURL = redactUrl(response.redirectURL, redactor);
+    }
+
+    var content = response.content;
+    var contentType = content && harContent.contentType(response);
+    if (!content || !content.text || !harContent.isText(contentType)) {
+        return;
+    }
+    var body = harContent.read(content, contentType);
+    var text = Buffer.isBuffer(body) ? harContent.decode(body, contentType) : body;
+    var redacted = redactBody(text, contentType, redactor);
+    if (redacted === text) {
+        return;
+    }
+    if (Buffer.isBuffer(body)) {
+        var encoded = harContent.encode(redacted, contentType);
+        content.text = (Buffer.isBuffer(encoded) ? encoded : new Buffer(encoded, "utf8")).toString("base64");
+    } else {
+        content.text = redacted;
+    }
+}
+
+function redactHeaders(headers, redactor) {
+    (headers || []).forEach(function (header) {
+        var name = header.name.toLowerCase();
+        if (redactor.rules.header(header.name)) {
+            header.value = redactValue(header.value, redactor);
+            return;
+        }
+        if (name === "cookie") {
+            header.value = header.value.replace(/(^|;\s*)([^=;]+)=([^;]*)/g, function (pair, separator, cookie, value) {
+                return separator + cookie + "=" + (redactor.rules.cookie(cookie.trim()) ? redactValue(value, redactor) : value);
+            });
+        } else if (name === "set-cookie") {
+            // Several cookies can be recorded in one header, a line each
+            header.value = header.value.split("\n").map(function (line) {
+                return line.replace(/^(\s*)([^=;]+)=([^;]*)/, function (pair, space, cookie, value) {
+                    return space + cookie + "=" + (redactor.rules.cookie(cookie.trim()) ? redactValue(value, redactor) : value);
+                });
+            }).join("\n");
+        } else if (URL_HEADERS.indexOf(name) !== -1) {
+            header.value = redactUrl(header.value, redactor);
+            return;
+        }
+        header.value = redactText(header.value, redactor);
+    });
+}
+
+// Cookies are also redacted when the header they come from is
+function redactCookies(cookies, header, redactor) {
+    (cookies || []).forEach(function (cookie) {
+        if (typeof cookie.value !== "string") {
+            return;
+        }
+        if (redactor.rules.cookie(cookie.name) || redactor.rules.header(header)) {
+            cookie.value = redactValue(cookie.value, redactor);
+        } else {
+            cookie.value = redactText(cookie.value, redactor);
+        }
+    });
+}
+
+function redactParam(param, redactor) {
+    if (typeof param.value !== "string") {
+        return;
+    }
+    if (redactor.rules.queryParam(param.name)) {
+        param.value = redactValue(decode(param.value), redactor);
+    } else {
+        param.value = redactText(param.value, redactor);
+    }
+}
+
+function redactUrl(url, redactor) {
+    var hashIndex = url.indexOf("#");
+    var hash = hashIndex === -1 ? "" : url.slice(hashIndex);
+    var rest = hashIndex === -1 ? url : url.slice(0, hashIndex);
+    var queryIndex = rest.indexOf("?");
+    if (queryIndex !== -1) {
+        rest = rest.slice(0, queryIndex + 1) + redactQuery(rest.slice(queryIndex + 1), redactor);
+    }
+    return redactText(rest + hash, redactor);
+}
+
+// Keeps the encoding of the params that stay
+function redactQuery(query, redactor) {
+    return query.split("&").map(function (param) {
+        var equals = param.indexOf("=");
+        if (equals === -1 || !redactor.rules.queryParam(decode(param.slice(0, equals)))) {
+            return param;
+        }
+        return param.slice(0, equals + 1) + redactValue(decode(param.slice(equals + 1)), redactor);
+    }).join("&");
+}
+
+function redactBody(text, mimeType, redactor) {
+    if (/application\/x-www-form-urlencoded/i.test(mimeType)) {
+        text = redactQuery(text, redactor);
+    } else if (/[\/+]json/i.test(mimeType) || /^\s*[\{\[]/.test(text)) {
+        text = redactJson(text, redactor);
+    }
+    return redactText(text, redactor);
+}
+
+// Only reformats the JSON when something was redacted
+function redactJson(text, redactor) {
+    if (!redactor.rules.jsonPaths.length) {
+        return text;
+    }
+    var json;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+    var redacted = false;
+    redactor.rules.jsonPaths.forEach(function (segments) {
+        redacted = redactPath(json, segments, redactor) || redacted;
+    });
+    return redacted ? JSON.stringify(json) : text;
+}
+
+function redactPath(parent, segments, redactor) {
+    if (!parent || typeof parent !== "object") {
+        return false;
+    }
+    var segment = segments[0];
+    var keys = segment === "*" ? Object.keys(parent) :
+        (Object.prototype.hasOwnProperty.call(parent, segment) ? [segment] : []);
+    var redacted = false;
+    keys.forEach(function (key) {
+        if (segments.length > 1) {
+            redacted = redactPath(parent[key], segments.slice(1), redactor) || redacted;
+        } else if (parent[key] !== null && !WHOLE_PLACEHOLDER.test(parent[key])) {
+            parent[key] = redactor.placeholder(parent[key]);
+            redacted = true;
+        }
+    });
+    return redacted;
+}
+
+function redactValue(value, redactor) {
+    return typeof value !== "string" || value === "" || WHOLE_PLACEHOLDER.test(value) ? value : redactor.placeholder(value);
+}
+
+function redactText(text, redactor) {
+    return redactor.rules.patterns.reduce(function (text, pattern) {
+        return text.replace(pattern, function (match) {
+            return match && !WHOLE_PLACEHOLDER.test(match) ? redactor.placeholder(match) : match;
+        });
+    }, text);
+}
+
+function decode(value) {
+    try {
+        return decodeURIComponent(value.replace(/\+/g, " "));
+    } catch (e) {
+        return value;
+    }
+}
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// What to serve once every entry in a sequence has been served
+var EXHAUSTED_BEHAVIORS = ["repeat", "wrap", "404"];
+
+exports = module.exports = Sequence;
+exports.EXHAUSTED_BEHAVIORS = EXHAUSTED_BEHAVIORS;
+
+/**
+ * Serves entries recorded for the same request in the order they were
+ * recorded, so that pages polling a URL see the responses change the way they
+ * did when recording.
+ * @param {string} whenExhausted One of EXHAUSTED_BEHAVIORS, defaults to "repeat"
+ */
+function Sequence(whenExhausted) {
+    whenExhausted = whenExhausted || "repeat";
+    if (EXHAUSTED_BEHAVIORS.indexOf(whenExhausted) === -1) {
+        throw new Error("Unknown sequence exhausted behavior: " + whenExhausted +
+            ", expected one of " + EXHAUSTED_BEHAVIORS.join(", "));
+    }
+    this.whenExhausted = whenExhausted;
+    this.reset();
+}
+
+/**
+ * Forgets which entries have been served, so every sequence starts over.
+ */
+Sequence.prototype.reset = function () {
+    this._positions = {};
+    this._candidates = {};
+};
+
+/**
+ * Given the entry chosen by the heuristic, returns the next entry recorded
+ * for the same request, or null if the sequence is exhausted and the
+ * behavior is "404".
+ * @param  {Array<Object>} entries All entries
+ * @param  {Object} entry The best matching entry
+ * @return {?Object}
+ */
+Sequence.prototype.next = function (entries, entry) {
+    var key = sequenceKey(entry.request);
+    var candidates = this._candidates[key];
+    if (!candidates) {
+        candidates = this._candidates[key] = findSequence(entries, key);
+    }
+
+    var position = this._positions[key] || 0;
+    this._positions[key] = position + 1;
+
+    if (position >= candidates.length) {
+        if (this.whenExhausted === "wrap") {
+            position = position % candidates.length;
+        } else if (this.whenExhausted === "404") {
+            return null;
+        } else {
+            position = candidates.length - 1;
+        }
+    }
+    return candidates[position];
+};
+
+function findSequence(entries, key) {
+    var candidates = [];
+    for (var i = 0; i < entries.length; i++) {
+        if (sequenceKey(entries[i].request) === key) {
+            candidates.push({entry: entries[i], index: i});
+        }
+    }
+    // Array#sort isn't guaranteed to be stable, so fall back to the HAR order
+    candidates.sort(function (a, b) {
+        return startedTime(a.entry) - startedTime(b.entry) || a.index - b.index;
+    });
+    return candidates.map(function (candidate) {
+        return candidate.entry;
+    });
+}
+
+function sequenceKey(entryRequest) {
+    var postData = entryRequest.postData;
+    return entryRequest.method + " " + entryRequest.url + (postData && postData.text ? " " + postData.text : "");
+}
+
+function startedTime(entry) {
+    var time = Date.parse(entry.startedDateTime);
+    return isNaN(time) ? 0 : time;
+}
@@ -0,0 +1,258 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var PATH = require("path");
+var Recorder = require("./recorder");
+
+exports = module.exports = SessionReport;
+
+/**
+ * Follows a ReplayServer to report what a replay session served: every
+ * exchange as a HAR, and which entries went unused, which requests missed,
+ * hit blocked entries or were served from local files.
+ * @param {ReplayServer} replayServer
+ */
+function SessionReport(replayServer) {
+    var self = this;
+    this.replayServer = replayServer;
+    this.recorder = new Recorder();
+    this.requests = 0;
+    this.hits = {};
+    this.misses = {};
+    this.blocked = {};
+    this.localFiles = {};
+
+    replayServer.on("request", function (request, response) {
+        self.requests++;
+        // WebSocket upgrades have no response to capture
+        if (response) {
+            capture(request, response, function (entry) {
+                self.recorder.add(entry);
+            });
+        }
+    });
+    replayServer.on("match", function (request, entry) {
+        var index = replayServer.getEntries().indexOf(entry);
+        if (index !== -1) {
+            self.hits[index] = (self.hits[index] || 0) + 1;
+        }
+    });
+    replayServer.on("miss", function (request) {
+        count(self.misses, request.method + " " + request.url, {
+            method: request.method,
+            url: request.url
+        });
+    });
+    replayServer.on("blocked", function (request, entry) {
+        count(self.blocked, request.method + " " + request.url, {
+            method: request.method,
+            url: request.url,
+            error: entry.response._error || "Missing status"
+        });
+    });
+    replayServer.on("local", function (request, path) {
+        count(self.localFiles, request.method + " " + request.url + " " + path, {
+            method: request.method,
+            url: request.url,
+            path: path
+        });
+    });
+    // Hits are counted by position, which means nothing in another HAR
+    replayServer.on("har", function () {
+        self.hits = {};
+    });
+}
+
+/**
+ * @return {Object} A HAR of the exchanges served, as the client saw them
+ */
+SessionReport.prototype.toHar = function () {
+    return this.recorder.toHar();
+};
+
+/**
+ * @return {Object} Counts, and the unused entries, misses, blocked hits and
+ *         local files of the session
+ */
+SessionReport.prototype.getCoverage = function () {
+    var hits = this.hits;
+    var entries = this.replayServer.getEntries();
+    var unusedEntries = [];
+    entries.forEach(function (entry, index) {
+        if (!hits[index]) {
+            unusedEntries.push({
+                index: index,
+                method: entry.request.method,
+                url: entry.request.url,
+                status: entry.response.status
+            });
+        }
+    });
+    return {
+        requests: this.requests,
+        entries: entries.length,
+        usedEntries: entries.length - unusedEntries.length,
+        unusedEntries: unusedEntries,
+        misses: values(this.misses),
+        blocked: values(this.blocked),
+        localFiles: values(this.localFiles)
+    };
+};
+
+/**
+ * @param  {Object} [coverage] From getCoverage
+ * @return {string} The coverage as readable tables
+ */
+SessionReport.prototype.formatCoverage = function (coverage) {
+    coverage = coverage || this.getCoverage();
+    var text = "Requests: " + coverage.requests + "\n" +
+        "Entries used: " + coverage.usedEntries + " of " + coverage.entries + "\n";
+
+    text += section("Unused entries", ["#", "Method", "URL", "Status"], coverage.unusedEntries.map(function (entry) {
+        return [entry.index, entry.method, entry.url, entry.status];
+    }));
+    text += section("Misses", ["Count", "Method", "URL"], coverage.misses.map(function (miss) {
+        return [miss.count, miss.method, miss.url];
+    }));
+    text += section("Blocked (410)", ["Count", "Method", "URL", "Error"], coverage.blocked.map(function (blocked) {
+        return [blocked.count, blocked.method, blocked.url, blocked.error];
+    }));
+    text += section("Local files", ["Count", "Method", "URL", "Path"], coverage.localFiles.map(function (local) {
+        return [local.count, local.method, local.url, local.path];
+    }));
+    return text;
+};
+
+/**
+ * Writes session.har, coverage.json and coverage.txt to `dir`, creating it
+ * if needed.
+ * @param {string} dir
+ * @param {function(Error)} callback
+ */
+SessionReport.prototype.write = function (dir, callback) {
+    var coverage = this.getCoverage();
+    var files = [
+        ["session.har", JSON.stringify(this.toHar(), null, 2)],
+        ["coverage.json", JSON.stringify(coverage, null, 2)],
+        ["coverage.txt", this.formatCoverage(coverage)]
+    ];
+    fs.mkdir(dir, {recursive: true}, function (err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        (function next() {
+            var file = files.shift();
+            if (!file) {
+                callback(null);
+                return;
+            }
+            fs.writeFile(PATH.join(dir, file[0]), file[1], function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                next();
+            });
+        })();
+    });
+};
+
+// Calls back with a HAR entry of the exchange once the response has been
+// sent. The body is recorded as it was written, and decoded by the Recorder
+function capture(request, response, callback) {
+    var started = new Date();
+    var firstWrite = null;
+    var chunks = [];
+    var write = response.write;
+    var end = response.end;
+
+    function collect(chunk, encoding) {
+        firstWrite = firstWrite || new Date();
+        if (chunk && typeof chunk !== "function") {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : new Buffer(chunk, typeof encoding === "string" ? encoding : "utf8"));
+        }
+    }
+    response.write = function (chunk, encoding) {
+        collect(chunk, encoding);
+        return write.apply(this, arguments);
+    };
+    response.end = function (chunk, encoding) {
+        collect(chunk, encoding);
+        return end.apply(this, arguments);
+    };
+
+    response.on("finish", function () {
+        var finished = new Date();
+        firstWrite = firstWrite || finished;
+        var headers = response.getHeaders();
+        var rawHeaders = [];
+        Object.keys(headers).forEach(function (name) {
+            [].concat(headers[name]).forEach(function (value) {
+                rawHeaders.push(name, String(value));
+            });
+        });
+        callback(Recorder.toEntry(request, request.body || new Buffer(0), {
+            statusCode: response.statusCode,
+            statusMessage: response.statusMessage,
+            httpVersion: request.httpVersion,
+            headers: headers,
+            rawHeaders: rawHeaders
+        }, Buffer.concat(chunks), {
+            started: started,
+            send: 0,
+            wait: firstWrite - started,
+            receive: finished - firstWrite
+        }));
+    });
+}
+
+function count(counts, key, details) {
+    if (!counts[key]) {
+        details.count = 0;
+        counts[key] = details;
+    }
+    counts[key].count++;
+}
+
+function values(object) {
+    return Object.keys(object).map(function (key) {
+        return object[key];
+    });
+}
+
+function section(title, header, rows) {
+    var text = "\n" + title + " (" + rows.length + ")\n";
+    if (!rows.length) {
+        return text + "  none\n";
+    }
+    rows = [header].concat(rows).map(function (row) {
+        return row.map(String);
+    });
+    var widths = header.map(function (name, column) {
+        return Math.max.apply(Math, rows.map(function (row) {
+            return row[column].length;
+        }));
+    });
+    rows.forEach(function (row) {
+        text += "  " + row.map(function (cell, column) {
+            // The last column isn't padded, so lines don't end in spaces
+            return column === row.length - 1 ? cell : cell + new Array(widths[column] - cell.length + 1).join(" ");
+        }).join("  ") + "\n";
+    });
+    return text;
+}
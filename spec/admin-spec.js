@@ -0,0 +1,161 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var http = require("http");
+var EventEmitter = require("events").EventEmitter;
+var serverReplay = require("../index");
+var Admin = require("../admin");
+var parseConfig = require("../parse-config");
+
+function makeHar(text) {
+    return {
+        log: {
+            entries: [{
+                request: {method: "GET", url: "http://example.com/a", headers: []},
+                response: {status: 200, headers: [], content: {mimeType: "text/plain", text: text}}
+            }, {
+                request: {method: "GET", url: "http://example.com/b", headers: []},
+                response: {status: 200, headers: [], content: {mimeType: "text/plain", text: "b"}}
+            }]
+        }
+    };
+}
+
+function send(port, method, path, body, callback) {
+    var request = http.request({port: port, method: method, path: path}, function (response) {
+        var text = "";
+        response.on("data", function (data) {
+            text += data;
+        });
+        response.on("end", function () {
+            callback(response, /json/.test(response.headers["content-type"]) ? JSON.parse(text) : text);
+        });
+    });
+    request.end(body);
+}
+
+describe("admin API", function () {
+    it("reports hits and misses and swaps the HAR", function (done) {
+        serverReplay.start(makeHar("first"), {config: parseConfig(null), port: 0, admin: true}).then(function (replayServer) {
+            var port = replayServer.address().port;
+            send(port, "GET", "http://example.com/a", null, function () {
+                send(port, "GET", "http://example.com/missing", null, function () {
+                    send(port, "GET", "/__replay/stats", null, function (response, stats) {
+                        expect(response.statusCode).toEqual(200);
+                        expect(stats.entries).toEqual(2);
+                        expect(stats.requests).toEqual(2);
+                        expect(stats.matches).toEqual(1);
+                        expect(stats.misses).toEqual(1);
+                        expect(stats.unusedEntries).toEqual(1);
+                        expect(stats.recentMisses[0].url).toEqual("http://example.com/missing");
+
+                        send(port, "GET", "/__replay/entries", null, function (response, entries) {
+                            expect(entries[0]).toEqual({index: 0, method: "GET", url: "http://example.com/a", status: 200, hits: 1});
+                            expect(entries[1].hits).toEqual(0);
+                            swap();
+                        });
+                    });
+                });
+            });
+
+            function swap() {
+                send(port, "PUT", "/__replay/har", JSON.stringify(makeHar("second")), function (response, result) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(result.entries).toEqual(2);
+                    send(port, "GET", "http://example.com/a", null, function (response, body) {
+                        expect(body).toEqual("second");
+                        refuse(["not json", '{"log": {}}', '{"log": {"entries": []}}']);
+                    });
+                });
+            }
+
+            function refuse(bodies) {
+                if (!bodies.length) {
+                    send(port, "GET", "http://example.com/a", null, function (response, body) {
+                        // The previous HAR is still served
+                        expect(body).toEqual("second");
+                        reset();
+                    });
+                    return;
+                }
+                send(port, "PUT", "/__replay/har", bodies.shift(), function (response, result) {
+                    expect(response.statusCode).toEqual(400);
+                    expect(result.error).toMatch(/^Could not load har: /);
+                    refuse(bodies);
+                });
+            }
+
+            function reset() {
+                send(port, "POST", "/__replay/reset", null, function () {
+                    send(port, "GET", "/__replay/stats", null, function (response, stats) {
+                        expect(stats.requests).toEqual(0);
+                        replayServer.close().then(function () {
+                            done();
+                        });
+                    });
+                });
+            }
+        }, done);
+    });
+
+    it("only answers this machine on the proxy port", function () {
+        var admin = new Admin(new EventEmitter());
+        var handled = [];
+        admin.handle = function (request) {
+            handled.push(request.socket.remoteAddress);
+        };
+        var status;
+        var response = {
+            writeHead: function (code) {
+                status = code;
+            },
+            end: function () {}
+        };
+        ["127.0.0.1", "::1", "::ffff:127.0.0.1", "192.168.1.20", "::ffff:10.0.0.2"].forEach(function (address) {
+            admin.handleLocal({socket: {remoteAddress: address}}, response);
+        });
+        expect(handled).toEqual(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+        expect(status).toEqual(403);
+    });
+
+    it("listens on its own port", function (done) {
+        var loaded = [];
+        var options = {config: parseConfig(null), port: 0, adminPort: 0, loadConfig: function (text) {
+            loaded.push(text);
+            return parseConfig(text);
+        }};
+        serverReplay.start(makeHar("first"), options).then(function (replayServer) {
+            var adminPort = replayServer.adminAddress().port;
+            expect(adminPort).toNotBe(replayServer.address().port);
+            expect(replayServer.adminAddress().address).toEqual("127.0.0.1");
+            send(replayServer.address().port, "GET", "/__replay/stats", null, function (response) {
+                // Only answered on the admin port
+                expect(response.statusCode).toEqual(404);
+                send(adminPort, "PUT", "/config", '{"version": 1, "misses": [{"policy": "respond", "status": 418}]}', function (response) {
+                    expect(response.statusCode).toEqual(200);
+                    // Loaded like the config file, with the command line options
+                    expect(loaded.length).toEqual(1);
+                    send(replayServer.address().port, "GET", "http://example.com/missing", null, function (response) {
+                        expect(response.statusCode).toEqual(418);
+                        replayServer.close().then(function () {
+                            done();
+                        });
+                    });
+                });
+            });
+        }, done);
+    });
+});
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var caching = require("../caching");
+var parseConfig = require("../parse-config");
+var helpers = require("./helpers");
+
+var LAST_MODIFIED = "Wed, 21 Oct 2015 07:28:00 GMT";
+
+var har = {
+    log: {
+        entries: [{
+            startedDateTime: "2015-01-01T00:00:00.000Z",
+            request: {method: "GET", url: "http://example.com/app.js", headers: []},
+            response: {
+                status: 200,
+                headers: [
+                    {name: "Content-Type", value: "application/javascript"},
+                    {name: "Cache-Control", value: "max-age=60"},
+                    {name: "ETag", value: '"v1"'},
+                    {name: "Last-Modified", value: LAST_MODIFIED}
+                ],
+                content: {mimeType: "application/javascript", text: "run();"}
+            }
+        }, {
+            startedDateTime: "2015-01-01T00:01:00.000Z",
+            request: {method: "GET", url: "http://example.com/app.js", headers: [{name: "If-None-Match", value: '"v1"'}]},
+            response: {
+                status: 304,
+                headers: [{name: "Cache-Control", value: "max-age=120"}, {name: "ETag", value: '"v1"'}],
+                content: {mimeType: "x-unknown"}
+            }
+        }, {
+            request: {method: "GET", url: "http://example.com/orphan", headers: []},
+            response: {status: 304, headers: [], content: {mimeType: "x-unknown"}}
+        }]
+    }
+};
+
+describe("caching", function () {
+    it("rejects unknown modes", function () {
+        expect(parseConfig(null).caching).toEqual("prevent");
+        expect(parseConfig('{"version": 1, "caching": "faithful"}').caching).toEqual("faithful");
+        expect(function () {
+            parseConfig('{"version": 1, "caching": "always"}');
+        }).toThrow();
+    });
+
+    it("resolves 304 entries to the 200 entry for the URL", function () {
+        var entries = har.log.entries;
+        var resolved = caching.resolve(entries, entries[1]);
+        expect(resolved.response.status).toEqual(200);
+        expect(resolved.response.content.text).toEqual("run();");
+        expect(resolved.response.headers).toEqual([
+            {name: "Content-Type", value: "application/javascript"},
+            {name: "Last-Modified", value: LAST_MODIFIED},
+            {name: "Cache-Control", value: "max-age=120"},
+            {name: "ETag", value: '"v1"'}
+        ]);
+        expect(caching.resolve(entries, entries[2])).toBe(entries[2]);
+    });
+
+    it("evaluates conditional headers", function () {
+        var entryResponse = har.log.entries[0].response;
+        function isNotModified(headers, method) {
+            return caching.isNotModified({method: method || "GET", headers: headers}, entryResponse);
+        }
+        expect(isNotModified({})).toBe(false);
+        expect(isNotModified({"if-none-match": '"v0", W/"v1"'})).toBe(true);
+        expect(isNotModified({"if-none-match": "*"})).toBe(true);
+        expect(isNotModified({"if-none-match": '"v2"'})).toBe(false);
+        // If-None-Match takes precedence
+        expect(isNotModified({"if-none-match": '"v2"', "if-modified-since": LAST_MODIFIED})).toBe(false);
+        expect(isNotModified({"if-modified-since": LAST_MODIFIED})).toBe(true);
+        expect(isNotModified({"if-modified-since": "Tue, 20 Oct 2015 07:28:00 GMT"})).toBe(false);
+        expect(isNotModified({"if-none-match": '"v1"'}, "POST")).toBe(false);
+    });
+
+    it("prevents caching by default", function (done) {
+        helpers.replay(har, {config: parseConfig('{"version": 1}')}, [
+            function (port, next) {
+                helpers.get(port, "http://example.com/app.js", {headers: {"if-none-match": '"v1"'}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(response.headers["cache-control"]).toEqual("no-cache, no-store, must-revalidate");
+                    expect(body).toEqual("run();");
+                    next();
+                });
+            },
+            function (port, next) {
+                // Without a body that was recorded for the URL
+                helpers.get(port, "http://example.com/orphan", {}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(body).toEqual("");
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("keeps the recorded headers and answers conditional requests when faithful", function (done) {
+        helpers.replay(har, {config: parseConfig('{"version": 1, "caching": "faithful"}')}, [
+            function (port, next) {
+                helpers.get(port, "http://example.com/app.js", {}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(response.headers["cache-control"]).toEqual("max-age=60");
+                    expect(response.headers.etag).toEqual('"v1"');
+                    expect(response.headers["last-modified"]).toEqual(LAST_MODIFIED);
+                    expect(response.headers.pragma).toBeUndefined();
+                    expect(body).toEqual("run();");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, "http://example.com/app.js", {headers: {"if-none-match": '"v1"'}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(304);
+                    // Updated by the recorded 304
+                    expect(response.headers["cache-control"]).toEqual("max-age=120");
+                    expect(response.headers.etag).toEqual('"v1"');
+                    expect(body).toEqual("");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, "http://example.com/app.js", {headers: {"if-modified-since": "Tue, 20 Oct 2015 07:28:00 GMT"}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(body).toEqual("run();");
+                    next();
+                });
+            }
+        ], done);
+    });
+});
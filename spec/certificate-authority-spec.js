@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var net = require("net");
+var tls = require("tls");
+var http = require("http");
+var pki = require("node-forge").pki;
+var CertificateAuthority = require("../certificate-authority");
+var makeRequestListener = require("../index").makeRequestListener;
+var makeConnectListener = require("../index").makeConnectListener;
+
+var ca = CertificateAuthority.generate();
+
+describe("certificate authority", function () {
+    it("issues host certificates signed by the CA", function () {
+        var issued = ca.issue("example.com");
+        var cert = pki.certificateFromPem(issued.cert);
+        expect(cert.subject.getField("CN").value).toEqual("example.com");
+        expect(cert.getExtension("subjectAltName").altNames[0].value).toEqual("example.com");
+        expect(ca.cert.verify(cert)).toBe(true);
+    });
+
+    it("caches secure contexts per host", function () {
+        expect(ca.getSecureContext("example.com")).toBe(ca.getSecureContext("EXAMPLE.com"));
+        expect(ca.getSecureContext("example.com")).toNotBe(ca.getSecureContext("example.org"));
+    });
+});
+
+describe("CONNECT", function () {
+    it("serves https entries through the tunnel", function (done) {
+        var entries = [{
+            request: {
+                method: "GET",
+                url: "https://example.com/secure?a=1",
+                headers: []
+            },
+            response: {
+                status: 200,
+                headers: [{name: "Content-Type", value: "text/plain"}],
+                content: {mimeType: "text/plain", text: "secret"}
+            }
+        }];
+        var options = {
+            config: {mappings: [], replacements: [], responseHeaderTransforms: []},
+            ca: ca
+        };
+        var listener = makeRequestListener(entries, options);
+        var server = http.createServer(listener);
+        server.on("connect", makeConnectListener(listener, options));
+
+        server.listen(0, function () {
+            http.request({
+                port: server.address().port,
+                method: "CONNECT",
+                path: "example.com:443"
+            }).on("connect", function (response, socket) {
+                expect(response.statusCode).toEqual(200);
+                var secure = tls.connect({
+                    socket: socket,
+                    servername: "example.com",
+                    ca: ca.certPem
+                }, function () {
+                    secure.write("GET /secure?a=1 HTTP/1.1\r\nHost: example.com\r\nConnection: close\r\n\r\n");
+                });
+                var received = "";
+                secure.on("data", function (data) {
+                    received += data;
+                });
+                secure.on("end", function () {
+                    expect(received).toMatch(/^HTTP\/1\.1 200/);
+                    expect(received).toMatch(/\r\n\r\nsecret$/);
+                    server.close();
+                    done();
+                });
+                secure.on("error", function (err) {
+                    server.close();
+                    done(err);
+                });
+            }).end();
+        });
+    });
+
+    it("refuses targets without a host name", function (done) {
+        var options = {
+            config: {mappings: [], replacements: [], responseHeaderTransforms: []},
+            ca: ca
+        };
+        var server = http.createServer(makeRequestListener([], options));
+        server.on("connect", makeConnectListener(function () {}, options));
+        var error = console.error;
+        console.error = function () {};
+
+        server.listen(0, function () {
+            var targets = ["[::1", ":443"];
+            (function next() {
+                if (!targets.length) {
+                    console.error = error;
+                    server.close();
+                    done();
+                    return;
+                }
+                var received = "";
+                var socket = net.connect(server.address().port, function () {
+                    socket.write("CONNECT " + targets.shift() + " HTTP/1.1\r\n\r\n");
+                });
+                socket.on("data", function (data) {
+                    received += data;
+                });
+                socket.on("close", function () {
+                    expect(received).toMatch(/^HTTP\/1\.1 400 Bad Request\r\n/);
+                    next();
+                });
+            })();
+        });
+    });
+});
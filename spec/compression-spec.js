@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var zlib = require("zlib");
+var compression = require("../compression");
+var makeRequestListener = require("../index").makeRequestListener;
+
+function request(acceptEncoding, method) {
+    return {
+        method: method || "GET",
+        url: "http://example.com/app.js",
+        headers: acceptEncoding ? {"accept-encoding": acceptEncoding} : {}
+    };
+}
+
+function entryResponse(mimeType, contentEncoding) {
+    return {
+        status: 200,
+        headers: contentEncoding ? [{name: "Content-Encoding", value: contentEncoding}] : [],
+        content: {mimeType: mimeType}
+    };
+}
+
+describe("compression", function () {
+    describe("negotiate", function () {
+        it("picks the preferred accepted encoding", function () {
+            var js = entryResponse("application/javascript");
+            expect(compression.choose(request("gzip, deflate, br"), js, "negotiate")).toEqual("gzip");
+            expect(compression.choose(request("deflate, br"), js, "negotiate")).toEqual("br");
+            expect(compression.choose(request("gzip;q=0.5, deflate"), js, "negotiate")).toEqual("deflate");
+            expect(compression.choose(request("gzip;q=0, *"), js, "negotiate")).toEqual("br");
+        });
+
+        it("sends the body as is when nothing is accepted", function () {
+            var js = entryResponse("application/javascript");
+            expect(compression.choose(request(), js, "negotiate")).toBeNull();
+            expect(compression.choose(request("identity"), js, "negotiate")).toBeNull();
+        });
+
+        it("doesn't compress images or bodiless responses", function () {
+            expect(compression.choose(request("gzip"), entryResponse("image/png"), "negotiate")).toBeNull();
+            expect(compression.choose(request("gzip", "HEAD"), entryResponse("text/html"), "negotiate")).toBeNull();
+            var noContent = entryResponse("text/html");
+            noContent.status = 204;
+            expect(compression.choose(request("gzip"), noContent, "negotiate")).toBeNull();
+        });
+
+        it("doesn't compress partial responses", function () {
+            var partial = entryResponse("application/javascript");
+            partial.status = 206;
+            partial.headers.push({name: "Content-Range", value: "bytes 0-9/100"});
+            expect(compression.choose(request("gzip"), partial, "negotiate")).toBeNull();
+            partial.status = 200;
+            expect(compression.choose(request("gzip"), partial, "negotiate")).toBeNull();
+            expect(compression.choose(request("gzip"), entryResponse("application/javascript", "gzip"), "mirror")).toEqual("gzip");
+            partial.headers.push({name: "Content-Encoding", value: "gzip"});
+            expect(compression.choose(request("gzip"), partial, "mirror")).toBeNull();
+        });
+    });
+
+    describe("mirror", function () {
+        it("uses the recorded encoding when accepted", function () {
+            expect(compression.choose(request("gzip, br"), entryResponse("text/css", "br"), "mirror")).toEqual("br");
+            expect(compression.choose(request("gzip"), entryResponse("text/css", "br"), "mirror")).toBeNull();
+            expect(compression.choose(request("gzip, br"), entryResponse("text/css"), "mirror")).toBeNull();
+        });
+    });
+
+    it("never compresses when off", function () {
+        expect(compression.choose(request("gzip"), entryResponse("text/html", "gzip"), "off")).toBeNull();
+    });
+
+    it("serves a compressed body with a matching content-length", function (done) {
+        var listener = makeRequestListener([{
+            request: {method: "GET", url: "http://example.com/app.js", headers: []},
+            response: {
+                status: 200,
+                headers: [{name: "Content-Encoding", value: "br"}, {name: "Content-Length", value: "12"}],
+                content: {mimeType: "application/javascript", text: "var a = 1;"}
+            }
+        }], {
+            config: {mappings: [], replacements: [], responseHeaderTransforms: [], compression: "negotiate"}
+        });
+
+        var headers = {};
+        listener(request("gzip"), {
+            setHeader: function (name, value) {
+                headers[name.toLowerCase()] = value;
+            },
+            getHeader: function (name) {
+                return headers[name.toLowerCase()];
+            },
+            end: function (body) {
+                expect(headers["content-encoding"]).toEqual("gzip");
+                expect(headers.vary).toEqual("Accept-Encoding");
+                expect(headers["content-length"]).toEqual(body.length);
+                expect(zlib.gunzipSync(body).toString()).toEqual("var a = 1;");
+                done();
+            }
+        });
+    });
+});
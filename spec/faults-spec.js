@@ -0,0 +1,164 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var faults = require("../faults");
+var parseConfig = require("../parse-config");
+var helpers = require("./helpers");
+
+var URL = "http://example.com/api/items";
+
+var har = {
+    log: {
+        entries: [{
+            request: {method: "GET", url: "http://example.com/api/items", headers: []},
+            response: {
+                status: 200,
+                headers: [{name: "Content-Type", value: "text/plain"}],
+                content: {mimeType: "text/plain", text: "0123456789"}
+            }
+        }]
+    }
+};
+
+function toConfig(rules) {
+    return parseConfig(JSON.stringify({version: 1, faults: rules}));
+}
+
+function parseFaults(rules) {
+    return toConfig(rules).faults;
+}
+
+describe("faults", function () {
+    it("rejects invalid rules", function () {
+        expect(parseConfig(null).faults).toEqual([]);
+        [
+            [{fault: "explode"}],
+            [{fault: "reset", probability: 2}],
+            [{fault: "reset", everyNth: 0}],
+            [{fault: "reset", probability: 0.5, everyNth: 2}],
+            [{fault: "delay"}],
+            [{fault: "status", status: "busy"}],
+            [{fault: "truncate", bytes: -1}]
+        ].forEach(function (rules) {
+            expect(function () {
+                parseFaults(rules);
+            }).toThrow();
+        });
+    });
+
+    it("triggers on matching URLs with a probability or every Nth request", function () {
+        var rules = parseFaults([
+            {match: "/never", fault: "reset", probability: 0},
+            {match: {regex: "/nth$"}, fault: "reset", everyNth: 3},
+            {match: "/always", fault: "reset", probability: 1}
+        ]);
+        function choose(url) {
+            var rule = faults.choose(rules, {url: url});
+            return rule && rule.fault;
+        }
+        expect(choose("http://example.com/never")).toBeNull();
+        expect(choose("http://example.com/always")).toEqual("reset");
+        expect(["http://example.com/nth", "http://example.com/nth", "http://example.com/other", "http://example.com/nth"].map(choose))
+            .toEqual([null, null, null, "reset"]);
+    });
+
+    it("describes faults", function () {
+        var rules = parseFaults([
+            {fault: "delay", delay: 200},
+            {fault: "status", status: 429, retryAfter: 30},
+            {fault: "truncate"},
+            {fault: "hang"}
+        ]);
+        expect(rules.map(faults.describe)).toEqual(["delay 200ms", "status 429, Retry-After 30", "truncate after half the body", "hang"]);
+    });
+
+    it("replaces the status and reports it in debug output", function (done) {
+        var rules = [{match: "/api/", fault: "status", status: 503, retryAfter: 5, everyNth: 2}];
+        var log = console.log;
+        var messages = [];
+        helpers.replay(har, {config: toConfig(rules), debug: true}, [
+            function (port, next) {
+                console.log = function () {
+                    messages.push(Array.prototype.join.call(arguments, " "));
+                };
+                helpers.get(port, URL, {}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(body).toEqual("0123456789");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, URL, {}, function (err, response) {
+                    console.log = log;
+                    expect(response.statusCode).toEqual(503);
+                    expect(response.headers["retry-after"]).toEqual("5");
+                    expect(messages.filter(function (message) {
+                        return message === "Fault: status 503, Retry-After 5 for http://example.com/api/items";
+                    }).length).toEqual(1);
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("delays, truncates and resets responses", function (done) {
+        var rules = [{match: "/api/", fault: "delay", delay: 150, everyNth: 3}, {fault: "truncate", bytes: 4, everyNth: 2}, {fault: "reset", everyNth: 2}];
+        helpers.replay(har, {config: toConfig(rules)}, [
+            function (port, next) {
+                // The first request is served, the second truncated
+                helpers.get(port, URL, {}, function (err) {
+                    expect(err).toBeNull();
+                    helpers.get(port, URL, {}, function (err, response, body) {
+                        expect(err).not.toBeNull();
+                        expect(response.headers["content-length"]).toEqual("10");
+                        expect(body).toEqual("0123");
+                        next();
+                    });
+                });
+            },
+            function (port, next) {
+                var started = Date.now();
+                helpers.get(port, URL, {}, function (err, response, body) {
+                    expect(err).toBeNull();
+                    expect(Date.now() - started).toBeGreaterThan(140);
+                    expect(body).toEqual("0123456789");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, URL, {}, function (err, response) {
+                    expect(response).toBeUndefined();
+                    expect(err.code).toEqual("ECONNRESET");
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("hangs until the client gives up", function (done) {
+        helpers.replay(har, {config: toConfig([{fault: "hang"}])}, [
+            function (port, next) {
+                var request = helpers.get(port, URL, {}, function (err, response) {
+                    expect(response).toBeUndefined();
+                    next();
+                });
+                request.setTimeout(100, function () {
+                    request.destroy();
+                });
+            }
+        ], done);
+    });
+});
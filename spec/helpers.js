@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Helpers for the specs that make requests to a running proxy
+
+var http = require("http");
+var serverReplay = require("../index");
+
+/**
+ * GETs a URL from the proxy.
+ * @param  {number} port
+ * @param  {string} url An absolute URL, as sent to a proxy, or a path
+ * @param  {Object} [options] More options for http.get, e.g. `headers`
+ * @param  {function(Error, http.IncomingMessage, string, Buffer)} callback
+ *         With the body as text and as bytes, also when the connection
+ *         breaks off
+ * @return {http.ClientRequest}
+ */
+exports.get = function (port, url, options, callback) {
+    var settings = {port: port, path: url};
+    Object.keys(options || {}).forEach(function (name) {
+        settings[name] = options[name];
+    });
+
+    var chunks = [];
+    var finished = false;
+    function finish(err, response) {
+        if (!finished) {
+            finished = true;
+            var bytes = Buffer.concat(chunks);
+            callback(err, response, bytes.toString("utf8"), bytes);
+        }
+    }
+    var request = http.get(settings, function (response) {
+        response.on("data", function (data) {
+            chunks.push(data);
+        });
+        response.on("end", function () {
+            finish(null, response);
+        });
+        response.on("error", function (err) {
+            finish(err, response);
+        });
+    });
+    request.on("error", function (err) {
+        finish(err);
+    });
+    return request;
+};
+
+/**
+ * Replays a HAR on any free port and runs the steps in turn, each once the
+ * previous one calls `next`, then closes the proxy.
+ * @param {Object} har
+ * @param {Object} options For serverReplay
+ * @param {Array<function(number, function(), ReplayServer)>} steps Called
+ *        with the port, `next` and the proxy
+ * @param {function(Error)} done
+ */
+exports.replay = function (har, options, steps, done) {
+    var settings = {port: 0};
+    Object.keys(options).forEach(function (name) {
+        settings[name] = options[name];
+    });
+    serverReplay.start(har, settings).then(function (replayServer) {
+        var port = replayServer.address().port;
+        (function next() {
+            if (steps.length) {
+                steps.shift()(port, next, replayServer);
+                return;
+            }
+            replayServer.close().then(function () {
+                done();
+            }, done);
+        })();
+    }, done);
+};
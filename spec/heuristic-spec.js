@@ -0,0 +1,228 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var URL = require("url");
+var heuristic = require("../heuristic");
+var parseMatching = require("../parse-config").parseMatching;
+
+function entry(method, url, postData) {
+    return {
+        request: {
+            method: method,
+            url: url,
+            headers: [],
+            postData: postData
+        }
+    };
+}
+
+function request(method, url, body, contentType) {
+    return {
+        method: method,
+        url: url,
+        parsedUrl: URL.parse(url, true),
+        headers: contentType ? {"content-type": contentType} : {},
+        body: body === undefined ? undefined : new Buffer(body)
+    };
+}
+
+describe("heuristic", function () {
+    it("requires method, host and pathname to match", function () {
+        var entries = [entry("GET", "http://example.com/a")];
+        expect(heuristic(entries, request("GET", "http://example.com/a"))).toBe(entries[0]);
+        expect(heuristic(entries, request("POST", "http://example.com/a"))).toBe(null);
+        expect(heuristic(entries, request("GET", "http://example.org/a"))).toBe(null);
+        expect(heuristic(entries, request("GET", "http://example.com/b"))).toBe(null);
+    });
+
+    it("matches requests without a host on method and pathname", function () {
+        var entries = [entry("GET", "http://example.com/a"), entry("GET", "http://example.org/a?x=1")];
+        expect(heuristic(entries, request("GET", "/a?x=1"))).toBe(entries[1]);
+        expect(heuristic(entries, request("POST", "/a"))).toBe(null);
+    });
+
+    it("notices entries added since the last request", function () {
+        var entries = [entry("GET", "http://example.com/a")];
+        expect(heuristic(entries, request("GET", "http://example.com/b"))).toBe(null);
+        entries.push(entry("GET", "http://example.com/b"));
+        expect(heuristic(entries, request("GET", "http://example.com/b"))).toBe(entries[1]);
+    });
+
+    describe("candidates", function () {
+        it("explains why entries didn't match, closest first", function () {
+            var entries = [
+                entry("GET", "http://other.com/unrelated"),
+                entry("POST", "http://example.com/search?q=cats&page=1"),
+                entry("GET", "http://example.com/search?q=dogs&page=1"),
+                entry("GET", "http://cdn.example.com/search")
+            ];
+            var candidates = heuristic.candidates(entries, request("GET", "http://example.com/search?q=cats&t=123"), 5);
+            expect(candidates.map(function (candidate) {
+                return entries.indexOf(candidate.entry);
+            })).toEqual([2, 1, 3]);
+            expect(candidates[0].reasons).toEqual([
+                'query param q: recorded "dogs", requested "cats"',
+                "query param t: not recorded",
+                "query param page: not requested"
+            ]);
+            expect(candidates[1].reasons[0]).toEqual("method: recorded POST, requested GET");
+            expect(candidates[2].reasons[0]).toEqual("host: recorded cdn.example.com, requested example.com");
+        });
+
+        it("limits the number of candidates", function () {
+            var entries = [entry("GET", "http://example.com/a"), entry("GET", "http://example.com/b")];
+            expect(heuristic.candidates(entries, request("GET", "http://example.com/c"), 1).length).toEqual(1);
+        });
+
+        it("only rates entries that share the host or pathname", function () {
+            var entries = [entry("GET", "http://example.com/a"), entry("GET", "http://other.com/b")];
+            var missed = request("GET", "http://example.com/c");
+            heuristic.candidates(entries, missed, 5);
+            var reads = 0;
+            var method = entries[1].request.method;
+            Object.defineProperty(entries[1].request, "method", {get: function () {
+                reads++;
+                return method;
+            }});
+            expect(heuristic.candidates(entries, missed, 5).map(function (candidate) {
+                return candidate.entry;
+            })).toEqual([entries[0]]);
+            expect(reads).toEqual(0);
+        });
+
+        it("describes body differences", function () {
+            var entries = [entry("POST", "http://example.com/api", {mimeType: "application/json", text: '{"id": 1, "a": true}'})];
+            var candidates = heuristic.candidates(entries, request("POST", "http://example.com/api", '{"id": 2, "b": true}', "application/json"), 1);
+            expect(candidates[0].reasons).toEqual([
+                "body field id: recorded 1, requested 2",
+                "body field b: not recorded",
+                "body field a: not requested"
+            ]);
+        });
+    });
+
+    describe("matching", function () {
+        it("ignores query params", function () {
+            var entries = [entry("GET", "http://example.com/a?id=1&_=111"), entry("GET", "http://example.com/a?id=2&_=222")];
+            var matching = parseMatching({ignoreQueryParams: [{regex: "^_$"}]});
+            expect(heuristic(entries, request("GET", "http://example.com/a?_=222&id=1"), matching)).toBe(entries[0]);
+            expect(heuristic(entries, request("GET", "http://example.com/a?id=1"), matching)).toBe(entries[0]);
+        });
+
+        it("ignores headers", function () {
+            var entries = [entry("GET", "http://example.com/a"), entry("GET", "http://example.com/a")];
+            entries[0].request.headers = [{name: "Accept", value: "text/html"}];
+            entries[1].request.headers = [{name: "User-Agent", value: "bot"}];
+            var matchingRequest = request("GET", "http://example.com/a");
+            matchingRequest.headers = {"user-agent": "bot", accept: "text/html"};
+            expect(heuristic(entries, matchingRequest)).toBe(entries[0]);
+            expect(heuristic(entries, matchingRequest, parseMatching({ignoreHeaders: ["Accept"]}))).toBe(entries[1]);
+        });
+
+        it("treats aliased hosts as the recorded host", function () {
+            var entries = [entry("GET", "http://cdn.example.com/a.js")];
+            var matching = parseMatching({hostAliases: {"staging-cdn.example.com": "cdn.example.com"}});
+            expect(heuristic(entries, request("GET", "http://staging-cdn.example.com/a.js"))).toBe(null);
+            expect(heuristic(entries, request("GET", "http://staging-cdn.example.com/a.js"), matching)).toBe(entries[0]);
+        });
+
+        it("uses the configured weights", function () {
+            var entries = [entry("GET", "http://example.com/a?x=1&y=1&z=1&w=1"), entry("GET", "http://example.com/a?x=2")];
+            var partialRequest = request("GET", "http://example.com/a?x=1");
+            expect(heuristic(entries, partialRequest)).toBe(entries[1]);
+            expect(heuristic(entries, partialRequest, parseMatching({weights: {missingQueryParam: 0}}))).toBe(entries[0]);
+        });
+
+        it("can compare values with their protocol", function () {
+            var entries = [entry("GET", "http://example.com/a?next=https://example.com/")];
+            var httpRequest = request("GET", "http://example.com/a?next=http://example.com/");
+            expect(heuristic.candidates(entries, httpRequest, 1)[0].reasons).toEqual([]);
+            expect(heuristic.candidates(entries, httpRequest, 1, parseMatching({stripProtocol: false}))[0].reasons.length).toEqual(1);
+        });
+
+        it("requires exact fields to match", function () {
+            var entries = [entry("GET", "http://example.com/a?page=1&sort=asc")];
+            entries[0].request.headers = [{name: "X-Api-Version", value: "2"}];
+            var matching = parseMatching({exact: {queryParams: ["page"], headers: ["x-api-version"]}});
+
+            var exactRequest = request("GET", "http://example.com/a?page=1&sort=desc");
+            exactRequest.headers = {"x-api-version": "2"};
+            expect(heuristic(entries, exactRequest, matching)).toBe(entries[0]);
+
+            var otherPage = request("GET", "http://example.com/a?page=2&sort=asc");
+            otherPage.headers = {"x-api-version": "2"};
+            expect(heuristic(entries, otherPage)).toBe(entries[0]);
+            expect(heuristic(entries, otherPage, matching)).toBe(null);
+            expect(heuristic.candidates(entries, otherPage, 1, matching)[0].reasons).toEqual(['query param page: must be exactly "1", requested "2"']);
+
+            expect(heuristic(entries, request("GET", "http://example.com/a?page=1&sort=asc"), matching)).toBe(null);
+        });
+
+        it("can require the exact body", function () {
+            var entries = [entry("POST", "http://example.com/api", {mimeType: "application/json", text: '{"id": 1}'})];
+            var matching = parseMatching({exact: {body: true}});
+            expect(heuristic(entries, request("POST", "http://example.com/api", '{ "id": 1 }', "application/json"), matching)).toBe(entries[0]);
+            expect(heuristic(entries, request("POST", "http://example.com/api", '{"id": 2}', "application/json"), matching)).toBe(null);
+        });
+    });
+
+    describe("request bodies", function () {
+        it("prefers the entry with the same text", function () {
+            var entries = [
+                entry("POST", "http://example.com/api", {mimeType: "text/plain", text: "one"}),
+                entry("POST", "http://example.com/api", {mimeType: "text/plain", text: "two"})
+            ];
+            expect(heuristic(entries, request("POST", "http://example.com/api", "two", "text/plain"))).toBe(entries[1]);
+            expect(heuristic(entries, request("POST", "http://example.com/api", "one", "text/plain"))).toBe(entries[0]);
+        });
+
+        it("compares form params", function () {
+            var entries = [
+                entry("POST", "http://example.com/form", {
+                    mimeType: "application/x-www-form-urlencoded",
+                    params: [{name: "user", value: "a"}, {name: "page", value: "1"}]
+                }),
+                entry("POST", "http://example.com/form", {
+                    mimeType: "application/x-www-form-urlencoded",
+                    params: [{name: "user", value: "b"}, {name: "page", value: "1"}]
+                })
+            ];
+            var formType = "application/x-www-form-urlencoded";
+            expect(heuristic(entries, request("POST", "http://example.com/form", "page=1&user=b", formType))).toBe(entries[1]);
+            expect(heuristic(entries, request("POST", "http://example.com/form", "user=a", formType))).toBe(entries[0]);
+        });
+
+        it("compares JSON regardless of key order", function () {
+            var entries = [
+                entry("POST", "http://example.com/graphql", {
+                    mimeType: "application/json",
+                    text: JSON.stringify({query: "q", variables: {id: 1, lang: "en"}})
+                }),
+                entry("POST", "http://example.com/graphql", {
+                    mimeType: "application/json",
+                    text: JSON.stringify({query: "q", variables: {id: 2, lang: "en"}})
+                })
+            ];
+            var body = JSON.stringify({variables: {lang: "en", id: 2}, query: "q"});
+            expect(heuristic(entries, request("POST", "http://example.com/graphql", body, "application/json"))).toBe(entries[1]);
+        });
+
+        it("still matches when the payload differs", function () {
+            var entries = [entry("POST", "http://example.com/api", {mimeType: "text/plain", text: "one"})];
+            expect(heuristic(entries, request("POST", "http://example.com/api", "three", "text/plain"))).toBe(entries[0]);
+        });
+    });
+});
@@ -14,6 +14,8 @@
  * limitations under the License.
  */
 
+var EventEmitter = require("events").EventEmitter;
+var iconv = require("iconv-lite");
 var makeRequestListener = require("../index").makeRequestListener;
 
 function MockRequest(url) {
@@ -43,3 +45,104 @@ describe("path resolution", function () {
         expect(readFile.mostRecentCall.args[0]).toEqual("/root/dir/name.js");
     });
 });
+
+describe("request bodies", function () {
+    it("buffers the body before matching", function () {
+        function entry(text, responseText) {
+            return {
+                request: {method: "POST", url: "http://example.com/api", headers: [], postData: {mimeType: "text/plain", text: text}},
+                response: {status: 200, headers: [], content: {mimeType: "text/plain", text: responseText}}
+            };
+        }
+        var listener = makeRequestListener([entry("a", "first"), entry("b", "second")], {
+            config: {mappings: [], replacements: [], responseHeaderTransforms: []}
+        });
+
+        var request = new EventEmitter();
+        request.method = "POST";
+        request.url = "http://example.com/api";
+        request.headers = {"content-type": "text/plain"};
+        var response = new MockResponse();
+        response.end = jasmine.createSpy();
+
+        listener(request, response);
+        expect(response.end).not.toHaveBeenCalled();
+        request.emit("data", new Buffer("b"));
+        request.emit("end");
+        expect(response.end).toHaveBeenCalled();
+        expect(response.end.mostRecentCall.args[0]).toEqual("second");
+    });
+});
+
+describe("near misses", function () {
+    it("are described in the 404 body", function () {
+        var listener = makeRequestListener([{
+            request: {method: "GET", url: "http://example.com/api?v=1", headers: []},
+            response: {status: 200, headers: [], content: {mimeType: "text/plain", text: ""}}
+        }], {
+            config: {mappings: [], replacements: [], responseHeaderTransforms: []}
+        });
+        var response = new MockResponse();
+        response.writeHead = jasmine.createSpy();
+        response.end = jasmine.createSpy();
+        var log = console.log;
+        console.log = function () {};
+        listener({method: "GET", url: "http://example.com/api/?v=2", headers: {}}, response);
+        console.log = log;
+
+        expect(response.writeHead.mostRecentCall.args[0]).toEqual(404);
+        expect(response.end.mostRecentCall.args[0]).toEqual(
+            "404 Not found\n\nClosest recorded entries:\n" +
+            "1. GET http://example.com/api?v=1\n" +
+            "   - pathname: recorded /api, requested /api/\n" +
+            '   - query param v: recorded "1", requested "2"'
+        );
+    });
+});
+
+describe("response bodies", function () {
+    function serve(content, replacements) {
+        var listener = makeRequestListener([{
+            request: {method: "GET", url: "http://example.com/file", headers: []},
+            response: {status: 200, headers: [], content: content}
+        }], {
+            config: {mappings: [], replacements: replacements || [], responseHeaderTransforms: []}
+        });
+        var response = new MockResponse();
+        response.end = jasmine.createSpy();
+        listener({method: "GET", url: "http://example.com/file", headers: {}}, response);
+        return response.end.mostRecentCall.args[0];
+    }
+
+    function replace(match, replacement) {
+        return function (text) {
+            return text.replace(match, replacement);
+        };
+    }
+
+    it("trusts the base64 encoding and leaves binary bodies alone", function () {
+        var font = new Buffer([0x77, 0x4f, 0x46, 0x32, 0x00, 0xff, 0x61]);
+        var body = serve({mimeType: "font/woff2", size: 100, encoding: "base64", text: font.toString("base64")}, [replace(/a/g, "b")]);
+        expect(body.equals(font)).toBe(true);
+    });
+
+    it("never runs replacements on binary bodies", function () {
+        var body = serve({mimeType: "application/x-protobuf", text: "abc"}, [replace(/a/g, "b")]);
+        expect(body.toString("utf8")).toEqual("abc");
+    });
+
+    it("replaces text in the charset of the content type", function () {
+        var body = serve({mimeType: "text/html; charset=Shift_JIS", text: "こんにちは world"}, [replace("world", "世界")]);
+        expect(body.equals(iconv.encode("こんにちは 世界", "shift_jis"))).toBe(true);
+
+        var latin1 = iconv.encode("café", "latin1");
+        body = serve({mimeType: "text/plain; charset=ISO-8859-1", encoding: "base64", text: latin1.toString("base64")}, [replace("caf", "CAF")]);
+        expect(body.equals(iconv.encode("CAFé", "latin1"))).toBe(true);
+    });
+
+    it("still decodes base64 bodies of generators that don't say so", function () {
+        var image = new Buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]);
+        var body = serve({mimeType: "image/png", size: image.length, text: image.toString("base64")});
+        expect(body.equals(image)).toBe(true);
+    });
+});
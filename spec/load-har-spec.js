@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var PATH = require("path");
+var URL = require("url");
+var loadHar = require("../load-har");
+var heuristic = require("../heuristic");
+var makeRequestListener = require("../index").makeRequestListener;
+
+function writeHar(path, url, text) {
+    fs.writeFileSync(path, JSON.stringify({log: {entries: [{
+        request: {method: "GET", url: url, headers: []},
+        response: {status: 200, headers: [], content: {mimeType: "text/plain", text: text}}
+    }]}}));
+}
+
+describe("loadHar", function () {
+    var dir, files;
+    beforeEach(function () {
+        dir = fs.mkdtempSync(PATH.join(os.tmpdir(), "har-replay-load-"));
+        fs.mkdirSync(PATH.join(dir, "layers"));
+        files = [
+            PATH.join(dir, "login.har"),
+            PATH.join(dir, "layers", "b.har"),
+            PATH.join(dir, "layers", "a.har"),
+            PATH.join(dir, "layers", "notes.txt")
+        ];
+        writeHar(files[0], "http://example.com/app", "login");
+        writeHar(files[1], "http://example.com/app", "b");
+        writeHar(files[2], "http://example.com/other", "a");
+        fs.writeFileSync(files[3], "not a HAR");
+    });
+
+    afterEach(function () {
+        files.forEach(function (file) {
+            fs.unlinkSync(file);
+        });
+        fs.rmdirSync(PATH.join(dir, "layers"));
+        fs.rmdirSync(dir);
+    });
+
+    it("expands directories to their .har files in name order", function () {
+        expect(loadHar.expandPaths([files[0], PATH.join(dir, "layers")])).toEqual([files[0], files[2], files[1]]);
+    });
+
+    it("tags entries with their file and layer, later layers winning ties", function (done) {
+        loadHar([files[0], PATH.join(dir, "layers")], function (err, har) {
+            expect(err).toBeNull();
+            var entries = har.log.entries;
+            expect(entries.length).toEqual(3);
+            expect(entries.map(function (entry) {
+                return [entry._harFile, entry._layer];
+            })).toEqual([[files[0], 0], [files[2], 1], [files[1], 2]]);
+
+            var request = {method: "GET", url: "http://example.com/app", parsedUrl: URL.parse("http://example.com/app", true), headers: {}};
+            expect(heuristic(entries, request).response.content.text).toEqual("b");
+
+            loadHar([PATH.join(dir, "layers"), files[0]], function (err, reversed) {
+                expect(heuristic(reversed.log.entries, request).response.content.text).toEqual("login");
+                done(err);
+            });
+        });
+    });
+
+    it("reports files that aren't valid HARs", function (done) {
+        fs.writeFileSync(files[2], '{"log": {"entries": [{"request": ');
+        loadHar([files[0], PATH.join(dir, "layers")], function (err, har) {
+            expect(err.message).toMatch(/^Could not read .*a\.har: /);
+            expect(har).toBeUndefined();
+            done();
+        });
+    });
+
+    it("streams files of STREAM_SIZE or more", function (done) {
+        var streamSize = loadHar.STREAM_SIZE;
+        loadHar.STREAM_SIZE = 0;
+        loadHar([files[0], files[1]], function (err, har) {
+            expect(har.log.entries.map(function (entry) {
+                return entry.response.content.text;
+            })).toEqual(["login", "b"]);
+            fs.writeFileSync(files[1], '{"log": {"entries": [{"request": ');
+            loadHar([files[1]], function (err) {
+                loadHar.STREAM_SIZE = streamSize;
+                expect(err.message).toMatch(/^Could not read .*b\.har: /);
+                done();
+            });
+        });
+    });
+
+    it("reports missing files", function (done) {
+        loadHar([PATH.join(dir, "missing.har")], function (err) {
+            expect(err.code).toEqual("ENOENT");
+            done();
+        });
+    });
+
+    it("names the source file in a response header", function (done) {
+        loadHar([files[0]], function (err, har) {
+            var headers = {};
+            var listener = makeRequestListener(har.log.entries, {
+                config: {mappings: [], replacements: [], responseHeaderTransforms: []},
+                sourceHeader: true
+            });
+            listener({method: "GET", url: "http://example.com/app", headers: {}}, {
+                setHeader: function (name, value) {
+                    headers[name] = value;
+                },
+                end: function () {}
+            });
+            expect(headers["x-har-source"]).toEqual(files[0]);
+            done(err);
+        });
+    });
+});
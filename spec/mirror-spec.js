@@ -0,0 +1,130 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var PATH = require("path");
+var mirror = require("../mirror");
+var parseConfig = require("../parse-config");
+var helpers = require("./helpers");
+
+function entry(url, mimeType, content, status) {
+    return {
+        request: {method: "GET", url: url, headers: []},
+        response: {
+            status: status || 200,
+            headers: [{name: "Content-Type", value: mimeType}],
+            content: content
+        }
+    };
+}
+
+var har = {
+    log: {
+        entries: [
+            entry("http://example.com/", "text/html", {mimeType: "text/html", text: "<h1>Café</h1>"}),
+            entry("http://example.com/search?q=a%20b", "application/json", {mimeType: "application/json", text: "[1]"}),
+            entry("http://example.com/search?q=c", "application/json", {mimeType: "application/json", text: "[2]"}),
+            entry("http://example.com/docs", "application/x-docs", {mimeType: "application/x-docs", text: "docs!"}),
+            entry("http://example.com/docs/intro.txt", "text/plain", {mimeType: "text/plain", text: "intro"}),
+            entry("https://example.com:8443/logo.png", "image/png", {mimeType: "image/png", encoding: "base64", text: new Buffer([137, 80, 78, 71]).toString("base64")}),
+            entry("http://example.com/latin", "text/plain; charset=iso-8859-1", {mimeType: "text/plain; charset=iso-8859-1", text: "Ça"}),
+            entry("http://example.com/poll", "text/plain", {mimeType: "text/plain", text: "first"}),
+            entry("http://example.com/poll", "text/plain", {mimeType: "text/plain", text: "second"}),
+            entry("http://example.com/moved", "text/plain", {mimeType: "text/plain", text: ""}, 302)
+        ]
+    }
+};
+
+// Calls back with the status and body bytes of each URL, as replayed, and
+// how many were served from local files
+function replay(config, resolvePath, callback) {
+    var responses = [];
+    var local = 0;
+    var steps = har.log.entries.map(function (entry) {
+        return function (port, next) {
+            helpers.get(port, entry.request.url.replace(/^https/, "http"), {}, function (err, response, text, body) {
+                responses.push([response.statusCode, body.toString("hex")]);
+                next();
+            });
+        };
+    });
+    steps.unshift(function (port, next, replayServer) {
+        replayServer.on("local", function () {
+            local++;
+        });
+        next();
+    });
+    helpers.replay(har, {config: config, resolvePath: resolvePath}, steps, function (err) {
+        callback(err, responses, local);
+    });
+}
+
+describe("mirror", function () {
+    it("plans a host and path tree with query variants and collisions", function () {
+        var plan = mirror.plan(har.log.entries);
+        expect(plan.files.map(function (file) {
+            return file.path;
+        }).sort()).toEqual([
+            "example.com/docs/intro.txt",
+            "example.com/docs~2",
+            "example.com/index.html",
+            "example.com/latin.txt",
+            "example.com/poll.txt",
+            "example.com/poll~2.txt",
+            "example.com/search~q=a b.json",
+            "example.com/search~q=c.json",
+            "example.com_8443/logo.png"
+        ]);
+        expect(plan.mappings.length).toEqual(7);
+        expect(plan.unmapped).toEqual(["http://example.com/poll"]);
+    });
+
+    it("maps URLs over http and https to their files", function () {
+        var config = parseConfig(JSON.stringify(mirror.toConfig([{url: "https://example.com/search?q=c", path: "example.com/search~q=c.json"}])));
+        expect(config.mappings[0]("http://example.com/search?q=c")).toEqual("example.com/search~q=c.json");
+        expect(config.mappings[0]("https://example.com/search?q=c")).toEqual("example.com/search~q=c.json");
+        expect(config.mappings[0]("http://example.com/search?q=cd")).toBeUndefined();
+    });
+
+    it("serves the same bytes as the HAR", function (done) {
+        var dir = fs.mkdtempSync(PATH.join(os.tmpdir(), "mirror-"));
+        mirror.write(har.log.entries, dir, function (err) {
+            if (err) {
+                done(err);
+                return;
+            }
+            expect(fs.readFileSync(PATH.join(dir, "example.com/latin.txt")).toString("hex")).toEqual("c761");
+            var configText = fs.readFileSync(PATH.join(dir, mirror.CONFIG_FILE), "utf8");
+            replay(parseConfig(null), dir, function (err, fromHar) {
+                if (err) {
+                    done(err);
+                    return;
+                }
+                replay(parseConfig(configText), dir, function (err, fromMirror, local) {
+                    fs.rmSync(dir, {recursive: true});
+                    if (err) {
+                        done(err);
+                        return;
+                    }
+                    expect(local).toEqual(7);
+                    expect(fromMirror).toEqual(fromHar);
+                    done();
+                });
+            });
+        });
+    });
+});
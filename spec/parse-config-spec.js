@@ -134,3 +134,98 @@ it(("parses a config file without all properties"), function () {
     expect(config.mappings).toEqual([]);
     expect(config.replacements).toEqual([]);
 });
+
+describe("timing", function () {
+    it("is off unless configured", function () {
+        expect(parseConfig('{"version": 1}').timing).toBeNull();
+    });
+
+    it("defaults to the recorded speed", function () {
+        expect(parseConfig('{"version": 1, "timing": true}').timing).toEqual({speed: 1});
+        expect(parseConfig('{"version": 1, "timing": {"speed": 0.5}}').timing).toEqual({speed: 0.5});
+    });
+
+    it("rejects invalid speeds", function () {
+        expect(function () {
+            parseConfig('{"version": 1, "timing": {"speed": 0}}');
+        }).toThrow();
+    });
+});
+
+describe("compression", function () {
+    it("negotiates by default", function () {
+        expect(parseConfig('{"version": 1}').compression).toEqual("negotiate");
+        expect(parseConfig('{"version": 1, "compression": "mirror"}').compression).toEqual("mirror");
+    });
+
+    it("rejects unknown modes", function () {
+        expect(function () {
+            parseConfig('{"version": 1, "compression": "zip"}');
+        }).toThrow();
+    });
+});
+
+describe("misses", function () {
+    it("matches rules by URL", function () {
+        var config = parseConfig(JSON.stringify({
+            version: 1,
+            misses: [
+                {match: {regex: "^https?://api\\."}, policy: "fallback", baseUrl: "http://localhost:3000"},
+                {match: "analytics", policy: "respond", status: 204},
+                {policy: "forward"}
+            ]
+        }));
+        expect(config.misses.length).toEqual(3);
+        expect(config.misses[0].matches("http://api.example.com/x")).toBe(true);
+        expect(config.misses[0].matches("http://api.example.com/x")).toBe(true);
+        expect(config.misses[0].matches("http://www.example.com/x")).toBe(false);
+        expect(config.misses[1].matches("http://example.com/analytics.js")).toBe(true);
+        expect(config.misses[1].status).toEqual(204);
+        expect(config.misses[2].matches("http://anything/")).toBe(true);
+    });
+
+    it("rejects unknown policies and fallbacks without a baseUrl", function () {
+        expect(function () {
+            parseConfig('{"version": 1, "misses": [{"policy": "ignore"}]}');
+        }).toThrow();
+        expect(function () {
+            parseConfig('{"version": 1, "misses": [{"policy": "fallback"}]}');
+        }).toThrow();
+    });
+});
+
+describe("matching", function () {
+    it("matches names and patterns", function () {
+        var matching = parseConfig(JSON.stringify({
+            version: 1,
+            matching: {
+                ignoreQueryParams: ["cb", {regex: "^utm_"}],
+                ignoreHeaders: ["User-Agent"],
+                hostAliases: {"Staging.example.com": "www.example.com"}
+            }
+        })).matching;
+        expect(matching.ignoreQueryParam("cb")).toBe(true);
+        expect(matching.ignoreQueryParam("utm_source")).toBe(true);
+        expect(matching.ignoreQueryParam("utm_source")).toBe(true);
+        expect(matching.ignoreQueryParam("id")).toBe(false);
+        expect(matching.ignoreHeader("user-agent")).toBe(true);
+        expect(matching.host("staging.example.com")).toEqual("www.example.com");
+        expect(matching.host("other.example.com")).toEqual("other.example.com");
+    });
+
+    it("keeps the default weights unless configured", function () {
+        expect(parseConfig('{"version": 1}').matching.weights.missingQueryParam).toEqual(-0.5);
+        var weights = parseConfig('{"version": 1, "matching": {"weights": {"header": 0}}}').matching.weights;
+        expect(weights.header).toEqual(0);
+        expect(weights.queryParam).toEqual(1);
+    });
+
+    it("rejects unknown weights and malformed lists", function () {
+        expect(function () {
+            parseConfig('{"version": 1, "matching": {"weights": {"cookies": 1}}}');
+        }).toThrow();
+        expect(function () {
+            parseConfig('{"version": 1, "matching": {"ignoreHeaders": "cookie"}}');
+        }).toThrow();
+    });
+});
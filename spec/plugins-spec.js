@@ -0,0 +1,227 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var PATH = require("path");
+var plugins = require("../plugins");
+var parseConfig = require("../parse-config");
+var helpers = require("./helpers");
+
+function entry(url, text) {
+    return {
+        request: {method: "GET", url: url, headers: []},
+        response: {
+            status: 200,
+            headers: [{name: "Content-Type", value: "text/plain"}],
+            content: {mimeType: "text/plain", text: text}
+        }
+    };
+}
+
+var har = {
+    log: {
+        entries: [entry("http://example.com/items", "recorded items"), entry("http://example.com/token", "token: abc")]
+    }
+};
+
+function start(plugins, steps, done) {
+    helpers.replay(har, {config: parseConfig.parseObject({version: 1, plugins: plugins})}, steps, done);
+}
+
+describe("plugins", function () {
+    it("loads config modules afresh", function () {
+        var path = PATH.join(os.tmpdir(), "server-replay-" + process.pid + ".js");
+        fs.writeFileSync(path, "module.exports = {version: 1, mappings: [{match: /^\\/(.*)$/, path: '$1'}], plugins: [{name: 'a', onMatch: function () {}}]};");
+        var config = parseConfig.loadModule(path);
+        expect(config.plugins.map(function (plugin) {
+            return plugin.name;
+        })).toEqual(["a"]);
+        expect(config.mappings[0]("/file.txt")).toEqual("file.txt");
+
+        fs.writeFileSync(path, "module.exports = {version: 1, plugins: [{name: 'b'}]};");
+        expect(parseConfig.loadModule(path).plugins[0].name).toEqual("b");
+        fs.unlinkSync(path);
+    });
+
+    it("rejects hooks that aren't functions", function () {
+        expect(parseConfig(null).plugins).toEqual([]);
+        expect(function () {
+            parseConfig.parseObject({version: 1, plugins: [{onMatch: "nope"}]});
+        }).toThrow();
+        expect(function () {
+            parseConfig.parseObject({version: 1, plugins: [null]});
+        }).toThrow();
+    });
+
+    it("changes the request, entry and response in order, also asynchronously", function (done) {
+        start([{
+            onRequest: function (request) {
+                if (request.url === "http://example.com/old-items") {
+                    request.url = "http://example.com/items";
+                }
+            },
+            onMatch: function (request, entry) {
+                return new Promise(function (resolve) {
+                    setTimeout(function () {
+                        var changed = JSON.parse(JSON.stringify(entry));
+                        changed.response.content.text = entry.response.content.text.toUpperCase();
+                        resolve(changed);
+                    }, 10);
+                });
+            },
+            onResponse: function (request, response, body) {
+                response.setHeader("x-request-id", request.headers["x-request-id"]);
+                return body.replace("ABC", "signed-" + request.headers["x-request-id"]);
+            }
+        }, {
+            onResponse: function (request, response, body) {
+                return body + "!";
+            }
+        }], [
+            function (port, next) {
+                helpers.get(port, "http://example.com/old-items", {headers: {"x-request-id": "42"}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(response.headers["x-request-id"]).toEqual("42");
+                    expect(response.headers["content-length"]).toEqual("15");
+                    expect(body).toEqual("RECORDED ITEMS!");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, "http://example.com/token", {headers: {"x-request-id": "7"}}, function (err, response, body) {
+                    expect(body).toEqual("TOKEN: signed-7!");
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("lets plugins answer requests and misses", function (done) {
+        var misses = 0;
+        start([{
+            name: "health",
+            onRequest: function (request, response) {
+                if (request.parsedUrl.pathname === "/health") {
+                    response.writeHead(204);
+                    response.end();
+                }
+            },
+            onMatch: function () {
+                throw new Error("Not called for answered requests");
+            }
+        }, {
+            onMiss: function (request) {
+                misses++;
+                if (request.parsedUrl.pathname === "/now") {
+                    return entry(request.url, "now");
+                }
+            }
+        }], [
+            function (port, next) {
+                helpers.get(port, "http://example.com/health", {}, function (err, response) {
+                    expect(response.statusCode).toEqual(204);
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, "http://example.com/now", {}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(body).toEqual("now");
+                    next();
+                });
+            },
+            function (port, next) {
+                var log = console.log;
+                console.log = function () {};
+                helpers.get(port, "http://example.com/later", {}, function (err, response) {
+                    console.log = log;
+                    expect(response.statusCode).toEqual(404);
+                    expect(misses).toEqual(2);
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("answers 500 when a hook fails", function (done) {
+        start([{
+            name: "broken",
+            onResponse: function () {
+                return Promise.reject(new Error("Could not sign"));
+            }
+        }], [
+            function (port, next, replayServer) {
+                var errors = [];
+                replayServer.on("error", function (err) {
+                    errors.push(err.message);
+                });
+                var error = console.error;
+                console.error = function () {};
+                helpers.get(port, "http://example.com/items", {}, function (err, response, body) {
+                    console.error = error;
+                    expect(response.statusCode).toEqual(500);
+                    expect(body).toEqual("500 Plugin broken failed in onResponse: Could not sign");
+                    expect(errors).toEqual(["Plugin broken failed in onResponse: Could not sign"]);
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("answers 500 when a hook returns an entry that can't be served", function (done) {
+        start([{
+            name: "incomplete",
+            onMiss: function () {
+                return {response: {status: 200, content: {mimeType: "text/plain", text: "made up"}}};
+            }
+        }], [
+            function (port, next) {
+                var error = console.error;
+                console.error = function () {};
+                helpers.get(port, "http://example.com/missing", {}, function (err, response, body) {
+                    console.error = error;
+                    expect(response.statusCode).toEqual(500);
+                    expect(body).toEqual("500 Plugin incomplete failed in onMiss: Returned an entry without a response.headers array");
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("blames the hook that failed after asynchronous hooks, once", function (done) {
+        var calls = [];
+        plugins.run([{
+            name: "slow",
+            onRequest: function () {
+                return Promise.resolve();
+            }
+        }, {
+            name: "broken",
+            onRequest: function () {
+                throw new Error("Could not sign");
+            }
+        }], "onRequest", null, function () {
+            return [];
+        }, undefined, function (err) {
+            calls.push(err.message);
+            setTimeout(function () {
+                expect(calls).toEqual(["Plugin broken failed in onRequest: Could not sign"]);
+                done();
+            }, 10);
+        });
+    });
+});
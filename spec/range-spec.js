@@ -0,0 +1,193 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var range = require("../range");
+var parseConfig = require("../parse-config");
+var helpers = require("./helpers");
+
+function partial(start, end, size, text) {
+    return {
+        request: {method: "GET", url: "http://example.com/video", headers: []},
+        response: {
+            status: 206,
+            headers: [{name: "Content-Type", value: "text/plain"}, {name: "Content-Range", value: "bytes " + start + "-" + end + "/" + size}],
+            content: {mimeType: "text/plain", text: text}
+        }
+    };
+}
+
+var har = {
+    log: {
+        entries: [{
+            request: {method: "GET", url: "http://example.com/doc", headers: []},
+            response: {
+                status: 200,
+                headers: [{name: "Content-Type", value: "text/plain"}, {name: "ETag", value: '"v1"'}],
+                content: {mimeType: "text/plain", text: "0123456789"}
+            }
+        },
+        partial(0, 3, 10, "abcd"),
+        partial(4, 9, 10, "efghij")]
+    }
+};
+
+describe("range", function () {
+    describe("parse", function () {
+        it("parses byte ranges", function () {
+            expect(range.parse("bytes=0-4", 10)).toEqual([{start: 0, end: 4}]);
+            expect(range.parse("bytes=5-", 10)).toEqual([{start: 5, end: 9}]);
+            expect(range.parse("bytes=-3", 10)).toEqual([{start: 7, end: 9}]);
+            expect(range.parse("bytes=8-100", 10)).toEqual([{start: 8, end: 9}]);
+            expect(range.parse("bytes=0-0, 2-3", 10)).toEqual([{start: 0, end: 0}, {start: 2, end: 3}]);
+        });
+
+        it("leaves out unsatisfiable ranges", function () {
+            expect(range.parse("bytes=10-", 10)).toEqual([]);
+            expect(range.parse("bytes=-0", 10)).toEqual([]);
+            expect(range.parse("bytes=20-30, 0-1", 10)).toEqual([{start: 0, end: 1}]);
+        });
+
+        it("merges overlapping and adjacent ranges", function () {
+            expect(range.parse("bytes=0-,0-,0-", 10)).toEqual([{start: 0, end: 9}]);
+            expect(range.parse("bytes=6-8, 0-2, 3-3, 7-", 10)).toEqual([{start: 0, end: 3}, {start: 6, end: 9}]);
+        });
+
+        it("sends the full body for too many ranges", function () {
+            var specs = [];
+            for (var i = 0; i < 17; i++) {
+                specs.push(i * 2 + "-" + i * 2);
+            }
+            expect(range.parse("bytes=" + specs.slice(0, 16).join(","), 100).length).toEqual(16);
+            expect(range.parse("bytes=" + specs.join(","), 100)).toBeNull();
+        });
+
+        it("ignores missing and malformed headers", function () {
+            expect(range.parse(undefined, 10)).toBeNull();
+            expect(range.parse("items=0-1", 10)).toBeNull();
+            expect(range.parse("bytes=5-1", 10)).toBeNull();
+            expect(range.parse("bytes=a-b", 10)).toBeNull();
+        });
+    });
+
+    it("only applies ranges for the recorded version with If-Range", function () {
+        var entryResponse = har.log.entries[0].response;
+        expect(range.ifRange({headers: {}}, entryResponse)).toBe(true);
+        expect(range.ifRange({headers: {"if-range": '"v1"'}}, entryResponse)).toBe(true);
+        expect(range.ifRange({headers: {"if-range": '"v2"'}}, entryResponse)).toBe(false);
+        expect(range.ifRange({headers: {"if-range": "Wed, 21 Oct 2015 07:28:00 GMT"}}, entryResponse)).toBe(false);
+    });
+
+    it("stitches recorded partial responses together", function () {
+        var entries = har.log.entries;
+        var stitched = range.stitch(entries, entries[1], {headers: {}});
+        expect(stitched.response.status).toEqual(200);
+        expect(stitched.response.content.buffer.toString()).toEqual("abcdefghij");
+        expect(stitched.response.headers).toEqual([{name: "Content-Type", value: "text/plain"}]);
+
+        // Without the second part only ranges within the first can be served
+        var first = [entries[1]];
+        expect(range.stitch(first, entries[1], {headers: {}})).toBe(entries[1]);
+        var slice = range.stitch(first, entries[1], {headers: {range: "bytes=1-2"}}).response;
+        expect(slice.status).toEqual(206);
+        expect(slice.headers[1]).toEqual({name: "Content-Range", value: "bytes 1-2/10"});
+        expect(slice.content.buffer.toString()).toEqual("bc");
+        expect(slice.content.partial).toBe(true);
+        expect(range.stitch(first, entries[1], {headers: {range: "bytes=2-5"}})).toBe(entries[1]);
+        expect(range.stitch(first, entries[1], {headers: {range: "bytes=20-"}}).response.status).toEqual(416);
+    });
+
+    it("only puts together the requested bytes of partly recorded bodies", function () {
+        var huge = [partial(0, 3, 10000000000, "abcd"), partial(8, 9, 10000000000, "ij")];
+        expect(range.stitch(huge, huge[0], {headers: {}})).toBe(huge[0]);
+        var ranges = range.stitch(huge, huge[0], {headers: {range: "bytes=1-2, 8-9"}}).response;
+        expect(ranges.status).toEqual(206);
+        var boundary = /^multipart\/byteranges; boundary=(\w+)$/.exec(ranges.headers[0].value)[1];
+        expect(ranges.content.buffer.toString()).toEqual(
+            "--" + boundary + "\r\nContent-Type: text/plain\r\nContent-Range: bytes 1-2/10000000000\r\n\r\nbc\r\n" +
+            "--" + boundary + "\r\nContent-Type: text/plain\r\nContent-Range: bytes 8-9/10000000000\r\n\r\nij\r\n" +
+            "--" + boundary + "--\r\n"
+        );
+    });
+
+    it("serves ranges of recorded and stitched bodies", function (done) {
+        helpers.replay(har, {config: parseConfig(null)}, [
+            function (port, next) {
+                helpers.get(port, "http://example.com/doc", {}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(response.headers["accept-ranges"]).toEqual("bytes");
+                    expect(body).toEqual("0123456789");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, "http://example.com/doc", {headers: {range: "bytes=2-4"}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(206);
+                    expect(response.headers["content-range"]).toEqual("bytes 2-4/10");
+                    expect(response.headers["content-length"]).toEqual("3");
+                    expect(body).toEqual("234");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, "http://example.com/doc", {headers: {range: "bytes=20-"}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(416);
+                    expect(response.headers["content-range"]).toEqual("bytes */10");
+                    expect(body).toEqual("");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, "http://example.com/doc", {headers: {range: "bytes=2-4", "if-range": '"v0"'}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(body).toEqual("0123456789");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, "http://example.com/doc", {headers: {range: "bytes=0-1,8-"}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(206);
+                    var boundary = /^multipart\/byteranges; boundary=(\w+)$/.exec(response.headers["content-type"])[1];
+                    expect(body).toEqual(
+                        "--" + boundary + "\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-1/10\r\n\r\n01\r\n" +
+                        "--" + boundary + "\r\nContent-Type: text/plain\r\nContent-Range: bytes 8-9/10\r\n\r\n89\r\n" +
+                        "--" + boundary + "--\r\n"
+                    );
+                    next();
+                });
+            },
+            function (port, next) {
+                var specs = [];
+                for (var i = 0; i < 100; i++) {
+                    specs.push("0-");
+                }
+                helpers.get(port, "http://example.com/doc", {headers: {range: "bytes=" + specs.join(",")}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(206);
+                    expect(response.headers["content-range"]).toEqual("bytes 0-9/10");
+                    expect(body).toEqual("0123456789");
+                    next();
+                });
+            },
+            function (port, next) {
+                helpers.get(port, "http://example.com/video", {headers: {range: "bytes=2-6"}}, function (err, response, body) {
+                    expect(response.statusCode).toEqual(206);
+                    expect(response.headers["content-range"]).toEqual("bytes 2-6/10");
+                    expect(body).toEqual("cdefg");
+                    next();
+                });
+            }
+        ], done);
+    });
+});
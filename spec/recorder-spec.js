@@ -0,0 +1,131 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var http = require("http");
+var zlib = require("zlib");
+var Recorder = require("../recorder");
+var serverReplay = require("../index");
+var parseConfig = require("../parse-config");
+
+var PNG = new Buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+function upstreamListener(request, response) {
+    if (request.url === "/image.png") {
+        response.writeHead(200, {"content-type": "image/png"});
+        response.end(PNG);
+        return;
+    }
+    var body = "";
+    request.on("data", function (data) {
+        body += data;
+    });
+    request.on("end", function () {
+        response.writeHead(201, {"content-type": "application/json", "content-encoding": "gzip", "set-cookie": "id=1; Path=/; HttpOnly"});
+        response.end(zlib.gzipSync(JSON.stringify({received: body})));
+    });
+}
+
+function send(port, options, body, callback) {
+    options.port = port;
+    var request = http.request(options, function (response) {
+        var chunks = [];
+        response.on("data", function (chunk) {
+            chunks.push(chunk);
+        });
+        response.on("end", function () {
+            callback(response, Buffer.concat(chunks));
+        });
+    });
+    request.end(body);
+}
+
+describe("recorder", function () {
+    it("records forwarded exchanges as a HAR that replays", function (done) {
+        var upstream = http.createServer(upstreamListener);
+        var recorder = new Recorder();
+        var proxy = http.createServer(Recorder.makeRequestListener(recorder, {}));
+
+        upstream.listen(0, function () {
+            var origin = "http://localhost:" + upstream.address().port;
+            proxy.listen(0, function () {
+                var port = proxy.address().port;
+                send(port, {method: "POST", path: origin + "/api?x=1", headers: {"content-type": "text/plain"}}, "ping", function (response, body) {
+                    expect(response.statusCode).toEqual(201);
+                    expect(response.headers["content-encoding"]).toEqual("gzip");
+                    expect(zlib.gunzipSync(body).toString()).toEqual('{"received":"ping"}');
+
+                    send(port, {method: "GET", path: origin + "/image.png"}, null, function (response, body) {
+                        expect(body.toString("hex")).toEqual(PNG.toString("hex"));
+                        proxy.close();
+                        upstream.close();
+                        checkHar(recorder.toHar(), origin);
+                    });
+                });
+            });
+        });
+
+        function checkHar(har, origin) {
+            expect(har.log.version).toEqual("1.2");
+            expect(har.log.entries.length).toEqual(2);
+
+            var api = har.log.entries[0];
+            expect(api.request.method).toEqual("POST");
+            expect(api.request.url).toEqual(origin + "/api?x=1");
+            expect(api.request.queryString).toEqual([{name: "x", value: "1"}]);
+            expect(api.request.postData).toEqual({mimeType: "text/plain", text: "ping"});
+            expect(api.response.status).toEqual(201);
+            expect(api.response.content.text).toEqual('{"received":"ping"}');
+            expect(api.response.content.encoding).toBeUndefined();
+            expect(api.response.cookies).toEqual([{name: "id", value: "1", path: "/", httpOnly: true}]);
+            expect(typeof api.startedDateTime).toEqual("string");
+            expect(api.timings.wait).toBeGreaterThan(-1);
+
+            var image = har.log.entries[1];
+            expect(image.response.content.encoding).toEqual("base64");
+            expect(image.response.content.size).toEqual(PNG.length);
+
+            // Round trip through the replay server
+            serverReplay.start(JSON.parse(JSON.stringify(har)), {config: parseConfig(null), port: 0}).then(function (replayServer) {
+                send(replayServer.address().port, {method: "GET", path: origin + "/image.png"}, null, function (response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(body.toString("hex")).toEqual(PNG.toString("hex"));
+                    replayServer.close().then(function () {
+                        done();
+                    });
+                });
+            }, done);
+        }
+    });
+
+    it("forwards to the upstream base URL but records the requested URL", function (done) {
+        var upstream = http.createServer(upstreamListener);
+        var recorder = new Recorder();
+        upstream.listen(0, function () {
+            var proxy = http.createServer(Recorder.makeRequestListener(recorder, {
+                upstream: "http://localhost:" + upstream.address().port + "/"
+            }));
+            proxy.listen(0, function () {
+                send(proxy.address().port, {method: "GET", path: "http://example.com/image.png"}, null, function (response) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(recorder.entries[0].request.url).toEqual("http://example.com/image.png");
+                    proxy.close();
+                    upstream.close();
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,174 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var URL = require("url");
+var redact = require("../redact");
+var heuristic = require("../heuristic");
+var parseConfig = require("../parse-config");
+
+var har = {
+    log: {
+        pages: [{id: "page_1", title: "https://example.com/?access_token=abc"}],
+        entries: [{
+            request: {
+                method: "POST",
+                url: "https://example.com/api/login?access_token=abc&page=1",
+                queryString: [{name: "access_token", value: "abc"}, {name: "page", value: "1"}],
+                headers: [
+                    {name: "Authorization", value: "Bearer abc"},
+                    {name: "Cookie", value: "sid=s3cret; theme=dark"},
+                    {name: "Referer", value: "https://example.com/?access_token=abc"}
+                ],
+                cookies: [{name: "sid", value: "s3cret"}, {name: "theme", value: "dark"}],
+                postData: {
+                    mimeType: "application/json",
+                    text: '{"user": {"email": "jo@example.com", "password": "hunter2"}, "remember": true}'
+                }
+            },
+            response: {
+                status: 200,
+                headers: [
+                    {name: "Content-Type", value: "application/json"},
+                    {name: "Set-Cookie", value: "sid=s3cret; Path=/; HttpOnly"}
+                ],
+                cookies: [{name: "sid", value: "s3cret"}],
+                content: {
+                    mimeType: "application/json",
+                    text: new Buffer('{"token": "abc", "items": [{"id": 1, "key": "k1"}, {"id": 2, "key": "k2"}], "note": "call 555-0100"}').toString("base64"),
+                    encoding: "base64"
+                }
+            }
+        }, {
+            request: {
+                method: "POST",
+                url: "https://example.com/api/search",
+                headers: [{name: "Content-Type", value: "application/x-www-form-urlencoded"}],
+                postData: {mimeType: "application/x-www-form-urlencoded", text: "q=cats&access_token=abc"}
+            },
+            response: {
+                status: 200,
+                headers: [{name: "Content-Type", value: "text/plain"}],
+                content: {mimeType: "text/plain", text: "cats"}
+            }
+        }]
+    }
+};
+
+function parseRules(rules) {
+    return parseConfig.parseObject({version: 1, redact: rules}).redact;
+}
+
+var RULES = {
+    headers: ["authorization"],
+    cookies: ["sid"],
+    queryParams: ["access_token"],
+    jsonPaths: ["user.password", "$.token", "items[*].key"],
+    patterns: [{regex: "\\d{3}-\\d{4}"}, "jo@example.com"]
+};
+
+function request(method, url, headers, body) {
+    return {
+        method: method,
+        url: url,
+        parsedUrl: URL.parse(url, true),
+        headers: headers,
+        body: new Buffer(body)
+    };
+}
+
+describe("redact", function () {
+    it("parses rules", function () {
+        var rules = parseConfig(null).redact;
+        expect(rules.header("Authorization")).toBe(true);
+        expect(rules.cookie("anything")).toBe(true);
+        expect(rules.queryParam("access_token")).toBe(false);
+        expect(rules.consistent).toBe(false);
+        expect(parseRules({jsonPaths: ["$[0].a", "b.*"]}).jsonPaths).toEqual([["0", "a"], ["b", "*"]]);
+        [{jsonPaths: "a"}, {jsonPaths: ["a..b"]}, {patterns: [""]}, {headers: "Authorization"}].forEach(function (rules) {
+            expect(function () {
+                parseRules(rules);
+            }).toThrow();
+        });
+    });
+
+    it("removes headers, cookies, query params, JSON values and patterns", function () {
+        var original = JSON.stringify(har);
+        var result = redact.redact(har, parseRules(RULES));
+        expect(JSON.stringify(har)).toEqual(original);
+        var entry = result.har.log.entries[0];
+        var R = redact.PLACEHOLDER;
+
+        expect(result.har.log.pages[0].title).toEqual("https://example.com/?access_token=" + R);
+        expect(entry.request.url).toEqual("https://example.com/api/login?access_token=" + R + "&page=1");
+        expect(entry.request.queryString).toEqual([{name: "access_token", value: R}, {name: "page", value: "1"}]);
+        expect(entry.request.headers.map(function (header) {
+            return header.value;
+        })).toEqual([R, "sid=" + R + "; theme=dark", "https://example.com/?access_token=" + R]);
+        expect(entry.request.cookies).toEqual([{name: "sid", value: R}, {name: "theme", value: "dark"}]);
+        expect(JSON.parse(entry.request.postData.text)).toEqual({user: {email: R, password: R}, remember: true});
+
+        expect(entry.response.headers[1].value).toEqual("sid=" + R + "; Path=/; HttpOnly");
+        expect(entry.response.cookies[0].value).toEqual(R);
+        expect(entry.response.content.encoding).toEqual("base64");
+        expect(JSON.parse(new Buffer(entry.response.content.text, "base64").toString())).toEqual({
+            token: R,
+            items: [{id: 1, key: R}, {id: 2, key: R}],
+            note: "call " + R
+        });
+        expect(result.har.log.entries[1].request.postData.text).toEqual("q=cats&access_token=" + R);
+        // abc, Bearer abc, s3cret, hunter2, the email, k1, k2 and the phone number
+        expect(result.count).toEqual(8);
+    });
+
+    it("gives each value the same numbered placeholder with consistent placeholders", function () {
+        var rules = parseRules(RULES);
+        rules.consistent = true;
+        var entries = redact.redact(har, rules).har.log.entries;
+        expect(entries[0].request.url).toEqual("https://example.com/api/login?access_token=__REDACTED_1__&page=1");
+        expect(entries[0].request.headers[0].value).toEqual("__REDACTED_2__");
+        expect(entries[0].request.cookies[0].value).toEqual("__REDACTED_3__");
+        expect(entries[0].response.cookies[0].value).toEqual("__REDACTED_3__");
+        expect(entries[1].request.postData.text).toEqual("q=cats&access_token=__REDACTED_1__");
+    });
+
+    it("matches redacted values to anything", function () {
+        expect(redact.matches("__REDACTED__", "abc")).toBe(true);
+        expect(redact.matches("Bearer __REDACTED_1__", "Bearer xyz")).toBe(true);
+        expect(redact.matches("Bearer __REDACTED_1__", "Basic xyz")).toBe(false);
+        expect(redact.matches("a.b", "axb")).toBe(false);
+        expect(redact.isRedacted("sid=__REDACTED__")).toBe(true);
+        expect(redact.isRedacted("sid=1")).toBe(false);
+    });
+
+    it("still replays under the heuristic, ignoring redacted values", function () {
+        var entries = redact.redact(har, parseRules(RULES)).har.log.entries;
+        var matching = parseConfig.parseMatching({exact: {queryParams: ["access_token"], headers: ["authorization"], body: true}});
+        var login = request("POST", "https://example.com/api/login?access_token=real&page=1", {
+            authorization: "Bearer real",
+            "content-type": "application/json"
+        }, '{"remember": true, "user": {"password": "pw", "email": "me@example.com"}}');
+        expect(heuristic(entries, login, matching)).toBe(entries[0]);
+
+        var search = request("POST", "https://example.com/api/search", {
+            "content-type": "application/x-www-form-urlencoded"
+        }, "q=cats&access_token=real");
+        expect(heuristic(entries, search, matching)).toBe(entries[1]);
+        search = request("POST", "https://example.com/api/search", {
+            "content-type": "application/x-www-form-urlencoded"
+        }, "q=dogs&access_token=real");
+        expect(heuristic(entries, search, matching)).toBe(null);
+    });
+});
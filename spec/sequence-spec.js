@@ -0,0 +1,75 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var Sequence = require("../sequence");
+
+describe("sequence", function () {
+    var entries;
+    beforeEach(function () {
+        function entry(url, started) {
+            return {
+                startedDateTime: started,
+                request: {method: "GET", url: url}
+            };
+        }
+        entries = [
+            entry("http://example.com/poll", "2015-01-01T00:00:02.000Z"),
+            entry("http://example.com/other", "2015-01-01T00:00:00.000Z"),
+            entry("http://example.com/poll", "2015-01-01T00:00:01.000Z"),
+            entry("http://example.com/poll", "2015-01-01T00:00:03.000Z")
+        ];
+    });
+
+    function serve(sequence, times) {
+        var served = [];
+        for (var i = 0; i < times; i++) {
+            served.push(entries.indexOf(sequence.next(entries, entries[0])));
+        }
+        return served;
+    }
+
+    it("serves entries in startedDateTime order and repeats the last", function () {
+        expect(serve(new Sequence(), 5)).toEqual([2, 0, 3, 3, 3]);
+    });
+
+    it("wraps around", function () {
+        expect(serve(new Sequence("wrap"), 5)).toEqual([2, 0, 3, 2, 0]);
+    });
+
+    it("returns nothing once exhausted for 404", function () {
+        expect(serve(new Sequence("404"), 4)).toEqual([2, 0, 3, -1]);
+    });
+
+    it("keeps a separate position per request", function () {
+        var sequence = new Sequence();
+        sequence.next(entries, entries[0]);
+        expect(sequence.next(entries, entries[1])).toBe(entries[1]);
+        expect(sequence.next(entries, entries[0])).toBe(entries[0]);
+    });
+
+    it("starts over after a reset", function () {
+        var sequence = new Sequence();
+        serve(sequence, 2);
+        sequence.reset();
+        expect(serve(sequence, 1)).toEqual([2]);
+    });
+
+    it("rejects unknown exhausted behaviors", function () {
+        expect(function () {
+            return new Sequence("explode");
+        }).toThrow();
+    });
+});
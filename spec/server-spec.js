@@ -0,0 +1,183 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var PATH = require("path");
+var http = require("http");
+var serverReplay = require("../index");
+var Recorder = require("../recorder");
+var parseConfig = require("../parse-config");
+var helpers = require("./helpers");
+
+var har = {
+    log: {
+        entries: [{
+            request: {method: "GET", url: "http://example.com/hello", headers: []},
+            response: {
+                status: 200,
+                headers: [{name: "Content-Type", value: "text/plain"}],
+                content: {mimeType: "text/plain", text: "hello"}
+            }
+        }]
+    }
+};
+
+function get(port, url, agent, callback) {
+    helpers.get(port, url, {headers: {host: "example.com"}, agent: agent}, callback);
+}
+
+describe("serverReplay", function () {
+    it("starts on an ephemeral port and emits events", function (done) {
+        var seen = [];
+        helpers.replay(har, {config: parseConfig(null)}, [
+            function (port, next, replayServer) {
+                expect(port).toBeGreaterThan(0);
+                replayServer.on("request", function (request) {
+                    seen.push("request " + request.url);
+                });
+                replayServer.on("match", function (request, entry) {
+                    seen.push("match " + entry.request.url);
+                });
+                replayServer.on("miss", function (request) {
+                    seen.push("miss " + request.url);
+                });
+                get(port, "http://example.com/hello", undefined, function (err, response, body) {
+                    expect(response.statusCode).toEqual(200);
+                    expect(body).toEqual("hello");
+                    next();
+                });
+            },
+            function (port, next) {
+                get(port, "http://example.com/missing", undefined, function (err, response) {
+                    expect(response.statusCode).toEqual(404);
+                    expect(seen).toEqual([
+                        "request http://example.com/hello",
+                        "match http://example.com/hello",
+                        "request http://example.com/missing",
+                        "miss http://example.com/missing"
+                    ]);
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("closes kept alive connections", function (done) {
+        var agent = new http.Agent({keepAlive: true});
+        serverReplay(har, {config: parseConfig(null), port: 0}, function (err, replayServer) {
+            expect(err).toBeNull();
+            get(replayServer.address().port, "http://example.com/hello", agent, function (err) {
+                expect(err).toBeNull();
+                replayServer.close(function (err) {
+                    expect(err).toBeUndefined();
+                    agent.destroy();
+                    done();
+                });
+            });
+        });
+    });
+
+    it("serves the recorded body again once a mapping is gone", function (done) {
+        var dir = fs.mkdtempSync(PATH.join(os.tmpdir(), "server-replay-"));
+        fs.writeFileSync(PATH.join(dir, "hello.txt"), "local");
+        var config = parseConfig(JSON.stringify({version: 1, mappings: [{match: "http://example.com/hello", path: "hello.txt"}]}));
+        helpers.replay(har, {config: config, resolvePath: dir}, [
+            function (port, next, replayServer) {
+                get(port, "http://example.com/hello", undefined, function (err, response, body) {
+                    expect(body).toEqual("local");
+                    replayServer.setConfig(parseConfig(null));
+                    next();
+                });
+            },
+            function (port, next) {
+                get(port, "http://example.com/hello", undefined, function (err, response, body) {
+                    expect(body).toEqual("hello");
+                    expect(har.log.entries[0].response.content.buffer).toBeUndefined();
+                    next();
+                });
+            }
+        ], function (err) {
+            fs.unlinkSync(PATH.join(dir, "hello.txt"));
+            fs.rmdirSync(dir);
+            done(err);
+        });
+    });
+
+    it("rejects when the port is taken", function (done) {
+        serverReplay.start(har, {config: parseConfig(null), port: 0}).then(function (first) {
+            serverReplay.start(har, {config: parseConfig(null), port: first.address().port}).then(function () {
+                done(new Error("Expected the second server to fail"));
+            }, function (err) {
+                expect(err.code).toEqual("EADDRINUSE");
+                first.close().then(function () {
+                    done();
+                });
+            });
+        });
+    });
+});
+
+describe("misses", function () {
+    it("respond with the configured status and body", function (done) {
+        var config = parseConfig(JSON.stringify({
+            version: 1,
+            misses: [{match: "/track", policy: "respond", status: 204}, {policy: "respond", status: 503, body: "offline"}]
+        }));
+        helpers.replay(har, {config: config}, [
+            function (port, next) {
+                get(port, "http://example.com/track", undefined, function (err, response) {
+                    expect(response.statusCode).toEqual(204);
+                    next();
+                });
+            },
+            function (port, next) {
+                get(port, "http://example.com/other", undefined, function (err, response, body) {
+                    expect(response.statusCode).toEqual(503);
+                    expect(body).toEqual("offline");
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("forward to the fallback and record the exchange", function (done) {
+        var fallback = http.createServer(function (request, response) {
+            response.writeHead(200, {"content-type": "text/plain"});
+            response.end("from fallback " + request.url);
+        });
+        fallback.listen(0, function () {
+            var config = parseConfig(JSON.stringify({
+                version: 1,
+                misses: [{policy: "fallback", baseUrl: "http://localhost:" + fallback.address().port}]
+            }));
+            var missRecorder = new Recorder();
+            helpers.replay(har, {config: config, missRecorder: missRecorder}, [
+                function (port, next) {
+                    get(port, "http://example.com/new?page=2", undefined, function (err, response, body) {
+                        expect(body).toEqual("from fallback /new?page=2");
+                        expect(missRecorder.entries.length).toEqual(1);
+                        expect(missRecorder.entries[0].request.url).toEqual("http://example.com/new?page=2");
+                        next();
+                    });
+                }
+            ], function (err) {
+                fallback.close();
+                done(err);
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var PATH = require("path");
+var parseConfig = require("../parse-config");
+var SessionReport = require("../session-report");
+var helpers = require("./helpers");
+
+var har = {
+    log: {
+        entries: [{
+            request: {method: "GET", url: "http://example.com/a", headers: []},
+            response: {status: 200, headers: [{name: "Content-Type", value: "text/plain"}], content: {mimeType: "text/plain", text: "a"}}
+        }, {
+            request: {method: "GET", url: "http://example.com/unused", headers: []},
+            response: {status: 200, headers: [], content: {mimeType: "text/plain", text: "unused"}}
+        }, {
+            request: {method: "GET", url: "http://example.com/ad.js", headers: []},
+            response: {status: 0, headers: [], content: {}, _error: "net::ERR_BLOCKED_BY_CLIENT"}
+        }]
+    }
+};
+
+describe("SessionReport", function () {
+    var dir;
+    beforeEach(function () {
+        dir = fs.mkdtempSync(PATH.join(os.tmpdir(), "har-replay-report-"));
+        fs.writeFileSync(PATH.join(dir, "local.txt"), "local");
+    });
+
+    afterEach(function () {
+        ["local.txt", "report/session.har", "report/coverage.json", "report/coverage.txt"].forEach(function (name) {
+            if (fs.existsSync(PATH.join(dir, name))) {
+                fs.unlinkSync(PATH.join(dir, name));
+            }
+        });
+        if (fs.existsSync(PATH.join(dir, "report"))) {
+            fs.rmdirSync(PATH.join(dir, "report"));
+        }
+        fs.rmdirSync(dir);
+    });
+
+    it("reports the exchanges, unused entries, misses, blocked hits and local files", function (done) {
+        var config = parseConfig(JSON.stringify({
+            version: 1,
+            mappings: [{match: "http://example.com/local", path: "local.txt"}]
+        }));
+        var report;
+        var urls = ["http://example.com/a", "http://example.com/missing", "http://example.com/missing", "http://example.com/ad.js", "http://example.com/local"];
+        var steps = urls.map(function (url) {
+            return function (port, next) {
+                helpers.get(port, url, {headers: {"accept-encoding": "gzip"}}, function () {
+                    next();
+                });
+            };
+        });
+        steps.unshift(function (port, next, replayServer) {
+            report = new SessionReport(replayServer);
+            next();
+        });
+        steps.push(function (port, next) {
+            var coverage = report.getCoverage();
+            expect(coverage.requests).toEqual(5);
+            expect(coverage.usedEntries).toEqual(2);
+            expect(coverage.unusedEntries).toEqual([{index: 1, method: "GET", url: "http://example.com/unused", status: 200}]);
+            expect(coverage.misses).toEqual([{method: "GET", url: "http://example.com/missing", count: 2}]);
+            expect(coverage.blocked).toEqual([{method: "GET", url: "http://example.com/ad.js", error: "net::ERR_BLOCKED_BY_CLIENT", count: 1}]);
+            expect(coverage.localFiles).toEqual([{method: "GET", url: "http://example.com/local", path: PATH.join(dir, "local.txt"), count: 1}]);
+
+            var entries = report.toHar().log.entries;
+            expect(entries.map(function (entry) {
+                return entry.response.status;
+            })).toEqual([200, 404, 404, 410, 200]);
+            // Recorded decoded, as the client saw it
+            expect(entries[0].response.content.text).toEqual("a");
+            expect(entries[4].response.content.text).toEqual("local");
+
+            report.write(PATH.join(dir, "report"), function (err) {
+                expect(err).toBeNull();
+                expect(JSON.parse(fs.readFileSync(PATH.join(dir, "report", "coverage.json"), "utf8"))).toEqual(coverage);
+                expect(JSON.parse(fs.readFileSync(PATH.join(dir, "report", "session.har"), "utf8")).log.entries.length).toEqual(5);
+                var lines = fs.readFileSync(PATH.join(dir, "report", "coverage.txt"), "utf8").split("\n");
+                expect(lines).toContain("Entries used: 2 of 3");
+                expect(lines.slice(lines.indexOf("Unused entries (1)") + 1, lines.indexOf("Unused entries (1)") + 3)).toEqual([
+                    "  #  Method  URL                        Status",
+                    "  1  GET     http://example.com/unused  200"
+                ]);
+                expect(lines.slice(lines.indexOf("Misses (1)") + 1, lines.indexOf("Misses (1)") + 3)).toEqual([
+                    "  Count  Method  URL",
+                    "  2      GET     http://example.com/missing"
+                ]);
+                next();
+            });
+        });
+        helpers.replay(har, {config: config, resolvePath: dir}, steps, done);
+    });
+
+    it("formats empty sections", function () {
+        var text = SessionReport.prototype.formatCoverage({
+            requests: 0,
+            entries: 0,
+            usedEntries: 0,
+            unusedEntries: [],
+            misses: [],
+            blocked: [],
+            localFiles: []
+        });
+        expect(text.split("\n")).toContain("  none");
+        expect(text.split("\n").filter(function (line) {
+            return line === "  none";
+        }).length).toEqual(4);
+    });
+});
@@ -0,0 +1,156 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var http = require("http");
+var streaming = require("../streaming");
+var parseConfig = require("../parse-config");
+var helpers = require("./helpers");
+
+var STREAM = "retry: 5000\n\nid: 1\ndata: one\n\nid: 2\ndata: two\r\n\r\nid: 3\ndata: three\n\n";
+
+var har = {
+    log: {
+        entries: [{
+            request: {method: "GET", url: "http://example.com/events", headers: []},
+            response: {
+                status: 200,
+                headers: [{name: "Content-Type", value: "text/event-stream"}],
+                content: {mimeType: "text/event-stream", text: STREAM}
+            },
+            timings: {wait: 0, receive: 300}
+        }, {
+            request: {method: "GET", url: "http://example.com/log", headers: []},
+            response: {
+                status: 200,
+                headers: [{name: "Content-Type", value: "text/plain"}, {name: "Transfer-Encoding", value: "chunked"}],
+                content: {mimeType: "text/plain", text: "0123456789"}
+            },
+            timings: {wait: 0, receive: 200}
+        }]
+    }
+};
+
+// Calls back with each chunk of the body and when it arrived
+function get(port, path, headers, callback) {
+    var started = Date.now();
+    var chunks = [];
+    helpers.get(port, path, {headers: headers}, function (err, response) {
+        callback(err, response, chunks);
+    }).on("response", function (response) {
+        response.on("data", function (data) {
+            chunks.push({data: data.toString("utf8"), at: Date.now() - started});
+        });
+    });
+}
+
+describe("streaming", function () {
+    it("splits Server-Sent Events", function () {
+        expect(streaming.parseEvents(STREAM)).toEqual([
+            {text: "retry: 5000\n\n", id: null, retry: 5000},
+            {text: "id: 1\ndata: one\n\n", id: "1", retry: null},
+            {text: "id: 2\ndata: two\n\n", id: "2", retry: null},
+            {text: "id: 3\ndata: three\n\n", id: "3", retry: null}
+        ]);
+    });
+
+    it("rejects invalid intervals", function () {
+        expect(parseConfig('{"version": 1}').streaming).toBeNull();
+        expect(parseConfig('{"version": 1, "streaming": false}').streaming).toBeNull();
+        expect(parseConfig('{"version": 1, "streaming": true}').streaming).toEqual({interval: null, keepOpen: true, chunked: false});
+        expect(function () {
+            parseConfig('{"version": 1, "streaming": {"interval": "1s"}}');
+        }).toThrow();
+    });
+
+    it("sends events over the recorded time, and resumes after Last-Event-ID", function (done) {
+        var config = parseConfig('{"version": 1, "streaming": {"keepOpen": false}}');
+        helpers.replay(har, {config: config}, [
+            function (port, next) {
+                get(port, "http://example.com/events", {}, function (err, response, chunks) {
+                    expect(response.headers["content-type"]).toEqual("text/event-stream");
+                    expect(response.headers["content-length"]).toBeUndefined();
+                    expect(chunks.map(function (chunk) {
+                        return chunk.data;
+                    }).join("")).toEqual("retry: 5000\n\nid: 1\ndata: one\n\nid: 2\ndata: two\n\nid: 3\ndata: three\n\n");
+                    expect(chunks.length).toBeGreaterThan(2);
+                    expect(chunks[chunks.length - 1].at).toBeGreaterThan(250);
+                    next();
+                });
+            },
+            function (port, next) {
+                get(port, "http://example.com/events", {"last-event-id": "2"}, function (err, response, chunks) {
+                    expect(chunks.map(function (chunk) {
+                        return chunk.data;
+                    }).join("")).toEqual("retry: 5000\n\nid: 3\ndata: three\n\n");
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("keeps the stream open after the last event", function (done) {
+        var config = parseConfig('{"version": 1, "streaming": {"interval": 10}}');
+        helpers.replay(har, {config: config}, [
+            function (port, next) {
+                var received = "";
+                http.get({port: port, path: "http://example.com/events"}, function (response) {
+                    response.setEncoding("utf8");
+                    response.on("data", function (data) {
+                        received += data;
+                    });
+                    response.on("end", function () {
+                        done(new Error("The stream ended"));
+                    });
+                    setTimeout(function () {
+                        expect(received).toEqual("retry: 5000\n\nid: 1\ndata: one\n\nid: 2\ndata: two\n\nid: 3\ndata: three\n\n");
+                        response.removeAllListeners("end");
+                        next();
+                    }, 150);
+                });
+            }
+        ], done);
+    });
+
+    it("sends event streams whole without streaming in the config", function (done) {
+        helpers.replay(har, {config: parseConfig(null)}, [
+            function (port, next) {
+                get(port, "http://example.com/events", {}, function (err, response, chunks) {
+                    expect(err).toBeNull();
+                    expect(response.headers["content-length"]).toEqual(String(STREAM.length));
+                    expect(chunks.map(function (chunk) {
+                        return chunk.data;
+                    }).join("")).toEqual(STREAM);
+                    next();
+                });
+            }
+        ], done);
+    });
+
+    it("can stream chunked responses", function (done) {
+        var config = parseConfig('{"version": 1, "streaming": {"chunked": true}}');
+        helpers.replay(har, {config: config}, [
+            function (port, next) {
+                get(port, "http://example.com/log", {}, function (err, response, chunks) {
+                    expect(chunks.map(function (chunk) {
+                        return chunk.data;
+                    }).join("")).toEqual("0123456789");
+                    expect(chunks.length).toBeGreaterThan(1);
+                    next();
+                });
+            }
+        ], done);
+    });
+});
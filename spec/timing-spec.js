@@ -0,0 +1,75 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var EventEmitter = require("events").EventEmitter;
+var timing = require("../timing");
+
+function MockResponse() {
+    EventEmitter.call(this);
+    this.written = [];
+}
+MockResponse.prototype = Object.create(EventEmitter.prototype);
+MockResponse.prototype.write = function (chunk) {
+    this.written.push({chunk: chunk.toString(), at: Date.now()});
+};
+MockResponse.prototype.end = function (chunk) {
+    this.write(chunk);
+    this.emit("finish");
+};
+
+describe("timing", function () {
+    it("uses the recorded wait and receive", function () {
+        var delays = timing.delays({time: 500, timings: {wait: 100, receive: 300}}, 1);
+        expect(delays).toEqual({wait: 100, receive: 300});
+    });
+
+    it("applies the speed multiplier", function () {
+        var delays = timing.delays({time: 500, timings: {wait: 100, receive: 300}}, 2);
+        expect(delays).toEqual({wait: 50, receive: 150});
+    });
+
+    it("falls back to the total time without a wait", function () {
+        expect(timing.delays({time: 500, timings: {wait: -1, receive: 100}}, 1)).toEqual({wait: 400, receive: 100});
+        expect(timing.delays({time: 500}, 1)).toEqual({wait: 500, receive: 0});
+        expect(timing.delays({}, 1)).toEqual({wait: 0, receive: 0});
+    });
+
+    it("delays the first byte and spreads the body", function (done) {
+        var response = new MockResponse();
+        var start = Date.now();
+        response.on("finish", function () {
+            expect(response.written.map(function (w) { return w.chunk; }).join("")).toEqual("abcdefgh");
+            expect(response.written.length).toBeGreaterThan(1);
+            expect(response.written[0].at - start).toBeGreaterThan(25);
+            expect(response.written[response.written.length - 1].at - start).toBeGreaterThan(100);
+            done();
+        });
+        timing.send(response, "abcdefgh", {timings: {wait: 30, receive: 100}}, 1);
+    });
+
+    it("stops writing when the client goes away", function (done) {
+        var response = new MockResponse();
+        timing.send(response, "abcdefgh", {timings: {wait: 10, receive: 200}}, 1);
+        setTimeout(function () {
+            response.emit("close");
+            var count = response.written.length;
+            setTimeout(function () {
+                expect(response.written.length).toEqual(count);
+                done();
+            }, 250);
+        }, 60);
+    });
+});
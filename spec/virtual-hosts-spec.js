@@ -0,0 +1,158 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var http = require("http");
+var virtualHosts = require("../virtual-hosts");
+var parseConfig = require("../parse-config");
+var helpers = require("./helpers");
+
+var PAGE = '<script src="https://cdn.example.com/app.js"></script><a href="//www.example.com/about">' +
+    '<a href="https://www.example.com.evil.com/">';
+
+var har = {
+    log: {
+        entries: [{
+            request: {method: "GET", url: "https://www.example.com/", headers: []},
+            response: {
+                status: 200,
+                headers: [{name: "Content-Type", value: "text/html"}],
+                content: {mimeType: "text/html", text: PAGE}
+            }
+        }, {
+            request: {method: "GET", url: "https://www.example.com/login", headers: []},
+            response: {
+                status: 302,
+                headers: [
+                    {name: "Location", value: "https://www.example.com/home"},
+                    {name: "Set-Cookie", value: "sid=1; Domain=.example.com; Path=/; Secure; SameSite=None"}
+                ],
+                content: {mimeType: "text/plain", text: ""}
+            }
+        }, {
+            request: {method: "GET", url: "https://cdn.example.com/app.js", headers: []},
+            response: {
+                status: 200,
+                headers: [{name: "Content-Type", value: "application/json"}],
+                content: {mimeType: "application/json", text: '{"api": "https:\\/\\/www.example.com\\/api"}'}
+            }
+        }]
+    }
+};
+
+function parseHosts(hosts) {
+    return parseConfig(JSON.stringify({version: 1, virtualHosts: hosts})).virtualHosts;
+}
+
+function get(port, path, host, callback) {
+    helpers.get(port, path, {headers: {host: host}}, callback);
+}
+
+// Finds a port nothing listens on
+function freePort(callback) {
+    var server = http.createServer();
+    server.listen(0, function () {
+        var port = server.address().port;
+        server.close(function () {
+            callback(port);
+        });
+    });
+}
+
+describe("virtual hosts", function () {
+    it("parses recorded hosts and what serves them", function () {
+        expect(parseHosts({"www.example.com": 8081, "https://cdn.example.com": "cdn.localhost:8080", "API.example.com": "api.localhost"})
+            .map(function (virtualHost) {
+                return [virtualHost.origin, virtualHost.name, virtualHost.port];
+            })).toEqual([
+                ["http://www.example.com", null, 8081],
+                ["https://cdn.example.com", "cdn.localhost", 8080],
+                ["http://api.example.com", "api.localhost", null]
+            ]);
+        expect(parseConfig(null).virtualHosts).toEqual([]);
+        [{"www.example.com/path": 8081}, {"www.example.com": 0}, {"www.example.com": "http://localhost"}].forEach(function (hosts) {
+            expect(function () {
+                parseHosts(hosts);
+            }).toThrow();
+        });
+    });
+
+    it("finds the virtual host of origin-form requests", function () {
+        var hosts = parseHosts({"www.example.com": 8081, "cdn.example.com": "cdn.localhost"});
+        function find(url, host, localPort) {
+            var virtualHost = virtualHosts.find(hosts, {url: url, headers: {host: host}, socket: {localPort: localPort}});
+            return virtualHost && virtualHost.host;
+        }
+        expect(find("/", "localhost:8081", 8081)).toEqual("www.example.com");
+        expect(find("/", "CDN.localhost:8080", 8080)).toEqual("cdn.example.com");
+        expect(find("/", "localhost:8080", 8080)).toBeNull();
+        expect(find("http://www.example.com/", "www.example.com", 8081)).toBeNull();
+    });
+
+    it("rewrites URLs and cookies of recorded hosts", function () {
+        var hosts = parseHosts({"www.example.com": 8081, "cdn.example.com:8443": "cdn.localhost"});
+        var request = {proxyAddress: {hostname: "10.0.2.2", port: 8080}};
+        expect(virtualHosts.rewriteUrls(hosts, "https://www.example.com/a //www.example.com/b wss://www.example.com/c " +
+            "https://cdn.example.com:8443/d https://cdn.example.com/e https:\\/\\/www.example.com\\/f", request)).toEqual(
+            "http://10.0.2.2:8081/a //10.0.2.2:8081/b ws://10.0.2.2:8081/c " +
+            "http://cdn.localhost:8080/d https://cdn.example.com/e http:\\/\\/10.0.2.2:8081\\/f");
+        // Only for requests made to virtual hosts
+        expect(virtualHosts.rewriteUrls(hosts, "https://www.example.com/", {})).toEqual("https://www.example.com/");
+        expect(virtualHosts.rewriteHeader(hosts, {name: "Set-Cookie", value: "a=b; domain=www.example.com; secure; HttpOnly"}, request))
+            .toEqual({name: "Set-Cookie", value: "a=b; HttpOnly"});
+    });
+
+    it("serves recorded hosts as their origin", function (done) {
+        freePort(function (wwwPort) {
+            var config = parseConfig(JSON.stringify({
+                version: 1,
+                virtualHosts: {"https://www.example.com": wwwPort, "https://cdn.example.com": "cdn.localhost"}
+            }));
+            helpers.replay(har, {config: config}, [
+                function (port, next, replayServer) {
+                    expect(replayServer.virtualHostServers[0].address().port).toEqual(wwwPort);
+                    get(wwwPort, "/", "localhost:" + wwwPort, function (err, response, body) {
+                        expect(response.statusCode).toEqual(200);
+                        expect(body).toEqual('<script src="http://cdn.localhost:' + port + '/app.js"></script>' +
+                            '<a href="//localhost:' + wwwPort + '/about"><a href="https://www.example.com.evil.com/">');
+                        next();
+                    });
+                },
+                function (port, next) {
+                    get(wwwPort, "/login", "localhost:" + wwwPort, function (err, response) {
+                        expect(response.statusCode).toEqual(302);
+                        expect(response.headers.location).toEqual("http://localhost:" + wwwPort + "/home");
+                        expect(response.headers["set-cookie"]).toEqual(["sid=1; Path=/; SameSite=Lax"]);
+                        next();
+                    });
+                },
+                function (port, next) {
+                    get(port, "/app.js", "cdn.localhost:" + port, function (err, response, body) {
+                        expect(response.statusCode).toEqual(200);
+                        expect(body).toEqual('{"api": "http:\\/\\/localhost:' + wwwPort + '\\/api"}');
+                        next();
+                    });
+                },
+                function (port, next) {
+                    // Proxied requests are served as recorded
+                    get(port, "https://www.example.com/login", "www.example.com", function (err, response) {
+                        expect(response.headers.location).toEqual("https://www.example.com/home");
+                        next();
+                    });
+                }
+            ], done);
+        });
+    });
+});
@@ -0,0 +1,143 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var fs = require("fs");
+var os = require("os");
+var PATH = require("path");
+var watch = require("../watch");
+var parseConfig = require("../parse-config");
+
+function entry(url) {
+    return {request: {method: "GET", url: url}};
+}
+
+function har(urls) {
+    return JSON.stringify({log: {entries: urls.map(entry)}});
+}
+
+describe("watch", function () {
+    it("describes which requests changed", function () {
+        var description = watch.describeHarChange(
+            [entry("http://a/1"), entry("http://a/2")],
+            [entry("http://a/2"), entry("http://a/3"), entry("http://a/3")]
+        );
+        expect(description).toEqual("3 entries, 2 added, 1 removed\n  + GET http://a/3\n  + GET http://a/3\n  - GET http://a/1");
+    });
+
+    it("describes which config sections changed", function () {
+        expect(watch.describeConfigChange(
+            '{"version": 1, "mappings": []}',
+            '// comment\n{"version": 1, "mappings": [{"match": "a", "path": "b"}], "timing": true}'
+        )).toEqual("mappings, timing changed");
+        expect(watch.describeConfigChange('{"version": 1}', '{"version": 1}')).toEqual("no changes");
+    });
+
+    it("reloads files and keeps the previous version when they don't load", function (done) {
+        var dir = fs.mkdtempSync(PATH.join(os.tmpdir(), "har-replay-watch-"));
+        var harPath = PATH.join(dir, "a.har");
+        var configPath = PATH.join(dir, ".server-replay.json");
+        fs.writeFileSync(harPath, har(["http://a/1"]));
+        fs.writeFileSync(configPath, '{"version": 1}');
+
+        // Changes are announced by hand rather than polled for
+        var listeners = {};
+        var watchedFs = {
+            watchFile: function (path, options, listener) {
+                listeners[path] = listener;
+            },
+            unwatchFile: function (path) {
+                delete listeners[path];
+            },
+            readFileSync: function (path, encoding) {
+                return fs.readFileSync(path, encoding);
+            }
+        };
+        function changed(path) {
+            listeners[path]({mtime: new Date(1), size: 1}, {mtime: new Date(0), size: 1});
+        }
+
+        var entries = JSON.parse(har(["http://a/1"])).log.entries;
+        var configs = [];
+        var onHar = null;
+        var replayServer = {
+            getEntries: function () {
+                return entries;
+            },
+            setHar: function (newHar) {
+                entries = newHar.log.entries;
+            },
+            setConfig: function (config) {
+                configs.push(config);
+            }
+        };
+        var log = console.log;
+        var error = console.error;
+        var messages = [];
+        console.log = console.error = function () {
+            messages.push(Array.prototype.join.call(arguments, " "));
+            // HARs are reloaded asynchronously, and always log
+            if (messages[messages.length - 1].indexOf(harPath) !== -1 && onHar) {
+                var callback = onHar;
+                onHar = null;
+                callback();
+            }
+        };
+        function reloadHar(callback) {
+            onHar = callback;
+            changed(harPath);
+        }
+
+        var watcher = watch(replayServer, {
+            harPaths: [harPath],
+            configPath: configPath,
+            loadConfig: parseConfig,
+            fs: watchedFs
+        });
+
+        fs.writeFileSync(harPath, har(["http://a/1", "http://a/2"]));
+        fs.writeFileSync(configPath, '{"version": 1, "compression": "off"}');
+        changed(configPath);
+        expect(configs.length).toEqual(1);
+        expect(configs[0].compression).toEqual("off");
+        reloadHar(function () {
+            expect(entries.length).toEqual(2);
+
+            fs.writeFileSync(harPath, "{ broken");
+            fs.writeFileSync(configPath, '{"version": 2}');
+            changed(configPath);
+            fs.unlinkSync(configPath);
+            changed(configPath);
+            expect(configs.length).toEqual(1);
+            reloadHar(function () {
+                expect(entries.length).toEqual(2);
+
+                watcher.close();
+                fs.unlinkSync(harPath);
+                fs.rmdirSync(dir);
+                console.log = log;
+                console.error = error;
+                expect(listeners).toEqual({});
+                expect(messages[0]).toEqual("Reloaded " + configPath + ": compression changed");
+                expect(messages[1]).toMatch(/^Reloaded .*a\.har: 2 entries, 1 added, 0 removed/);
+                expect(messages[2]).toMatch(/^Error: Could not reload .*\.server-replay\.json, still using the previous version/);
+                expect(messages[3]).toEqual("Error: Could not read " + configPath + ", still using the previous version");
+                expect(messages[4]).toMatch(/^Error: Could not reload .*a\.har, still serving the previous version/);
+                expect(messages.length).toEqual(5);
+                done();
+            });
+        });
+    });
+});
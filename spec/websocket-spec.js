@@ -0,0 +1,148 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var tls = require("tls");
+var http = require("http");
+var WebSocket = require("ws");
+var serverReplay = require("../index");
+var parseConfig = require("../parse-config");
+var CertificateAuthority = require("../certificate-authority");
+
+var har = {
+    log: {
+        entries: [{
+            startedDateTime: "2015-01-01T00:00:00.000Z",
+            time: 10,
+            request: {method: "GET", url: "wss://example.com/socket", headers: []},
+            response: {status: 101, headers: [], content: {mimeType: "x-unknown"}},
+            _webSocketMessages: [
+                {type: "receive", time: 1420070400.01, opcode: 1, data: "hello"},
+                {type: "send", time: 1420070400.02, opcode: 1, data: "subscribe"},
+                {type: "receive", time: 1420070400.12, opcode: 1, data: "subscribed"},
+                {type: "receive", time: 1420070400.13, opcode: 2, data: new Buffer([1, 2, 3]).toString("base64")}
+            ]
+        }]
+    }
+};
+
+function start(config, callback) {
+    serverReplay.start(har, {config: parseConfig(JSON.stringify(config)), port: 0}).then(callback);
+}
+
+function connect(replayServer, path) {
+    return new WebSocket("ws://localhost:" + replayServer.address().port + path, {headers: {host: "example.com"}});
+}
+
+describe("WebSocket replay", function () {
+    it("sends the recorded server frames with their timing", function (done) {
+        start({version: 1}, function (replayServer) {
+            var ws = connect(replayServer, "/socket");
+            var opened;
+            var frames = [];
+            ws.on("open", function () {
+                opened = Date.now();
+            });
+            ws.on("message", function (data, isBinary) {
+                frames.push({data: isBinary ? Array.prototype.slice.call(data) : data.toString(), at: Date.now() - opened});
+                if (frames.length < 3) {
+                    return;
+                }
+                expect(frames.map(function (frame) {
+                    return frame.data;
+                })).toEqual(["hello", "subscribed", [1, 2, 3]]);
+                // Recorded 110ms after the handshake
+                expect(frames[1].at).toBeGreaterThan(80);
+                ws.close();
+                replayServer.close().then(function () {
+                    done();
+                }, done);
+            });
+        });
+    });
+
+    it("can wait for the client frames", function (done) {
+        start({version: 1, websockets: {waitForClient: true}, timing: {speed: 10}}, function (replayServer) {
+            var ws = connect(replayServer, "/socket");
+            var frames = [];
+            ws.on("message", function (data) {
+                frames.push(data.toString());
+                if (frames.length === 1) {
+                    setTimeout(function () {
+                        expect(frames).toEqual(["hello"]);
+                        ws.send("subscribe");
+                    }, 100);
+                } else if (frames.length === 3) {
+                    ws.close();
+                    replayServer.close().then(function () {
+                        done();
+                    }, done);
+                }
+            });
+        });
+    });
+
+    it("replays inside HTTPS tunnels", function (done) {
+        var ca = CertificateAuthority.generate();
+        serverReplay.start(har, {config: parseConfig(null), port: 0, ca: ca}).then(function (replayServer) {
+            http.request({
+                port: replayServer.address().port,
+                method: "CONNECT",
+                path: "example.com:443"
+            }).on("connect", function (response, socket) {
+                var ws = new WebSocket("wss://example.com/socket", {
+                    createConnection: function () {
+                        return tls.connect({socket: socket, servername: "example.com", ca: ca.certPem});
+                    }
+                });
+                ws.on("message", function (data) {
+                    expect(data.toString()).toEqual("hello");
+                    ws.close();
+                    replayServer.close().then(function () {
+                        done();
+                    }, done);
+                });
+                ws.on("error", done);
+            }).end();
+        }, done);
+    });
+
+    it("refuses upgrades that weren't recorded", function (done) {
+        start({version: 1}, function (replayServer) {
+            var log = console.log;
+            console.log = function () {};
+            var requests = 0;
+            var misses = 0;
+            replayServer.on("request", function (request, response) {
+                expect(response).toBeNull();
+                requests++;
+            });
+            replayServer.on("miss", function () {
+                misses++;
+            });
+            var ws = connect(replayServer, "/other");
+            ws.on("error", function () {});
+            ws.on("unexpected-response", function (request, response) {
+                console.log = log;
+                expect(response.statusCode).toEqual(404);
+                expect(requests).toEqual(1);
+                expect(misses).toEqual(1);
+                replayServer.close().then(function () {
+                    done();
+                }, done);
+            });
+        });
+    });
+});
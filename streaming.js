@@ -0,0 +1,128 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var timing = require("./timing");
+
+// Events are separated by a blank line, with any of the line endings
+var EVENT_SEPARATOR = /(?:\r\n|\r|\n){2,}/;
+var LINE = /\r\n|\r|\n/;
+
+/**
+ * @param  {string} contentType
+ * @return {boolean} Whether the body is a stream of Server-Sent Events
+ */
+exports.isEventStream = function (contentType) {
+    return /^\s*text\/event-stream/i.test(contentType || "");
+};
+
+/**
+ * @param  {Object} entryResponse
+ * @return {boolean} Whether the response was recorded as sent in chunks
+ */
+exports.isChunked = function (entryResponse) {
+    return (entryResponse.headers || []).some(function (header) {
+        return header.name.toLowerCase() === "transfer-encoding" && /chunked/i.test(header.value);
+    });
+};
+
+/**
+ * Splits a Server-Sent Events body into its events.
+ * @param  {string} text
+ * @return {Array<{text: string, id: ?string, retry: ?number}>} Each event
+ *         with the blank line that ends it, and its id and retry fields
+ */
+exports.parseEvents = parseEvents;
+function parseEvents(text) {
+    return text.split(EVENT_SEPARATOR).filter(function (block) {
+        return block.length > 0;
+    }).map(function (block) {
+        var event = {text: block + "\n\n", id: null, retry: null};
+        block.split(LINE).forEach(function (line) {
+            var index = line.indexOf(":");
+            var field = index === -1 ? line : line.slice(0, index);
+            var value = index === -1 ? "" : line.slice(index + 1).replace(/^ /, "");
+            if (field === "id") {
+                event.id = value;
+            } else if (field === "retry" && /^\d+$/.test(value)) {
+                event.retry = Number(value);
+            }
+        });
+        return event;
+    });
+}
+
+/**
+ * Sends the events of a Server-Sent Events body one at a time, spread over
+ * the recorded receive time or `interval` apart. A client reconnecting with
+ * Last-Event-ID gets the events after that one, along with the last
+ * recorded retry before it.
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ * @param {string} text
+ * @param {Object} entry
+ * @param {Object} options
+ * @param {number} [options.speed]
+ * @param {?number} [options.interval] Milliseconds between events
+ * @param {boolean} [options.keepOpen] Leave the connection open after the
+ *        last event, as the server did while it was recorded
+ */
+exports.sendEvents = function (request, response, text, entry, options) {
+    var events = parseEvents(text);
+    var lastEventId = request.headers && request.headers["last-event-id"];
+    var retry = null;
+    var resumeAt = 0;
+    if (lastEventId !== undefined) {
+        events.forEach(function (event, index) {
+            if (event.id === lastEventId) {
+                resumeAt = index + 1;
+            }
+        });
+    }
+    events.slice(0, resumeAt).forEach(function (event) {
+        retry = event.retry === null ? retry : event.retry;
+    });
+    events = events.slice(resumeAt);
+    if (retry !== null) {
+        events.unshift({text: "retry: " + retry + "\n\n"});
+    }
+
+    var delays = timing.delays(entry, options.speed);
+    var timers = [];
+    var closed = false;
+    response.on("close", function () {
+        closed = true;
+        timers.forEach(clearTimeout);
+    });
+    // Lets the client know the stream is open before the first event
+    response.flushHeaders();
+
+    events.forEach(function (event, index) {
+        var at = options.interval ? index * options.interval / (options.speed || 1) :
+            (events.length > 1 ? delays.receive * index / (events.length - 1) : 0);
+        timers.push(setTimeout(function () {
+            if (!closed) {
+                response.write(event.text);
+            }
+        }, delays.wait + at));
+    });
+    if (!options.keepOpen) {
+        timers.push(setTimeout(function () {
+            if (!closed) {
+                response.end();
+            }
+        }, delays.wait + (options.interval ? events.length * options.interval / (options.speed || 1) : delays.receive)));
+    }
+};
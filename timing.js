@@ -0,0 +1,88 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// How often to write a slice of a throttled body, in milliseconds
+var TICK = 50;
+
+/**
+ * Works out how long to wait before the first byte and how long to spend
+ * sending the body, from the entry's recorded timings.
+ * @param  {Object} entry
+ * @param  {number} speed Multiplier, 2 replays twice as fast as recorded
+ * @return {{wait: number, receive: number}} In milliseconds
+ */
+exports.delays = function (entry, speed) {
+    var timings = entry.timings || {};
+    var receive = positive(timings.receive);
+    var wait = positive(timings.wait);
+    if (timings.wait === undefined || timings.wait < 0) {
+        // No breakdown recorded, so treat everything but the download as
+        // waiting for the server
+        wait = Math.max(0, positive(entry.time) - receive);
+    }
+
+    speed = speed || 1;
+    return {
+        wait: wait / speed,
+        receive: receive / speed
+    };
+};
+
+/**
+ * Writes `content` to the response after the recorded wait, spreading the
+ * body over the recorded receive time.
+ * @param {http.ServerResponse} response
+ * @param {Buffer|string} content
+ * @param {Object} entry
+ * @param {number} speed
+ */
+exports.send = function (response, content, entry, speed) {
+    var delays = exports.delays(entry, speed);
+    var body = content ? (Buffer.isBuffer(content) ? content : new Buffer(content, "utf8")) : new Buffer(0);
+
+    // The first slice goes out after the wait and the last one once the
+    // receive time is over
+    var steps = Math.min(Math.ceil(delays.receive / TICK), Math.max(0, body.length - 1));
+    var chunkSize = Math.ceil(body.length / (steps + 1)) || 1;
+    var interval = steps ? delays.receive / steps : 0;
+
+    var timer;
+    var closed = false;
+    response.on("close", function () {
+        closed = true;
+        clearTimeout(timer);
+    });
+
+    var offset = 0;
+    function writeChunk() {
+        if (closed) {
+            return;
+        }
+        if (offset + chunkSize >= body.length) {
+            response.end(body.slice(offset));
+            return;
+        }
+        response.write(body.slice(offset, offset + chunkSize));
+        offset += chunkSize;
+        timer = setTimeout(writeChunk, interval);
+    }
+
+    timer = setTimeout(writeChunk, delays.wait);
+};
+
+function positive(value) {
+    return typeof value === "number" && value > 0 ? value : 0;
+}
@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Without a browser configured to use the proxy, it can serve recorded hosts
+// as their origin. Each virtual host maps a recorded host to a local port
+// it gets its own server on, or to a name the Host header is matched
+// against on the proxy's port. Absolute URLs in the responses are rewritten
+// to point at the virtual hosts, so the whole site is served locally.
+
+/**
+ * Finds the virtual host an origin-form request, with only a path, was
+ * made to.
+ * @param  {Array<Object>} virtualHosts As parsed by parse-config
+ * @param  {http.IncomingMessage} request
+ * @return {?Object}
+ */
+exports.find = function (virtualHosts, request) {
+    if (!virtualHosts || request.url.charAt(0) !== "/") {
+        return null;
+    }
+    var hostname = hostnameOf(request.headers.host);
+    var localPort = request.socket && request.socket.localPort;
+    for (var i = 0; i < virtualHosts.length; i++) {
+        var virtualHost = virtualHosts[i];
+        if (virtualHost.name !== null ? virtualHost.name === hostname : virtualHost.port === localPort) {
+            return virtualHost;
+        }
+    }
+    return null;
+};
+
+/**
+ * Rewrites the absolute, protocol relative and JSON escaped URLs of the
+ * recorded hosts in `text` to the virtual hosts serving them, as the
+ * client that made `request` reaches them.
+ * @param  {Array<Object>} virtualHosts
+ * @param  {string} text
+ * @param  {http.IncomingMessage} request With `proxyAddress` if it was made
+ *         to a virtual host
+ * @return {string}
+ */
+exports.rewriteUrls = rewriteUrls;
+function rewriteUrls(virtualHosts, text, request) {
+    if (!request || !request.proxyAddress) {
+        return text;
+    }
+    virtualHosts.forEach(function (virtualHost) {
+        var authority = localAuthority(virtualHost, request.proxyAddress);
+        text = text.replace(virtualHost.pattern, function (match, scheme, slashes) {
+            return (scheme ? (/^ws/i.test(scheme) ? "ws:" : "http:") : "") + slashes + authority;
+        });
+    });
+    return text;
+}
+
+/**
+ * Rewrites the URLs in a response header, and makes cookies set for the
+ * recorded hosts, or only over HTTPS, apply to the virtual hosts.
+ * @param  {Array<Object>} virtualHosts
+ * @param  {{name: string, value: string}} header
+ * @param  {http.IncomingMessage} request
+ * @return {{name: string, value: string}}
+ */
+exports.rewriteHeader = function (virtualHosts, header, request) {
+    if (!request || !request.proxyAddress) {
+        return header;
+    }
+    var value = rewriteUrls(virtualHosts, header.value, request);
+    if (header.name.toLowerCase() === "set-cookie") {
+        value = value.split(";").filter(function (attribute) {
+            return !/^\s*(domain\s*=|secure\s*$)/i.test(attribute);
+        }).join(";").replace(/;\s*samesite\s*=\s*none\s*(?=;|$)/i, "; SameSite=Lax");
+    }
+    return {name: header.name, value: value};
+};
+
+/**
+ * @param  {string} host A recorded host, with its port if it isn't the
+ *         default one
+ * @return {RegExp} Matching the URLs of `host`, capturing their scheme and
+ *         slashes
+ */
+exports.urlPattern = function (host) {
+    var escaped = host.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&");
+    return new RegExp("(https?:|wss?:)?(\\\\?/\\\\?/)" + escaped + "(?![\\w.-]|:\\d)", "gi");
+};
+
+function localAuthority(virtualHost, proxyAddress) {
+    if (virtualHost.name !== null) {
+        return virtualHost.name + ":" + (virtualHost.port || proxyAddress.port);
+    }
+    return proxyAddress.hostname + ":" + virtualHost.port;
+}
+
+/**
+ * @param  {string} [host] e.g. a Host header
+ * @return {string} The host without its port
+ */
+exports.hostnameOf = hostnameOf;
+function hostnameOf(host) {
+    return (host || "").replace(/:\d+$/, "").toLowerCase();
+}
@@ -0,0 +1,207 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+var _fs = require("fs");
+var parseConfig = require("./parse-config");
+var loadHar = require("./load-har");
+
+// fs.watch misses the atomic renames many editors save with, so poll
+var INTERVAL = 500;
+
+/**
+ * Reloads the HAR and config of a ReplayServer when their files change. A
+ * file that fails to load is reported and the previous version kept.
+ * @param  {ReplayServer} replayServer
+ * @param  {Object} options
+ * @param  {Array<string>} options.harPaths HAR files and directories, which
+ *         are reloaded together as layers when any of them changes
+ * @param  {string} [options.configPath]
+ * @param  {function(string): Object} options.loadConfig Turns the config
+ *         text into a config, e.g. parse-config plus command line overrides
+ * @param  {number} [options.interval] Polling interval in milliseconds
+ * @return {{close: function()}}
+ */
+module.exports = function (replayServer, options) {
+    // for mocking
+    var fs = options.fs || _fs;
+    var interval = options.interval || INTERVAL;
+    var watched = [];
+    var harPaths = options.harPaths;
+    var harDescription = harPaths.join(", ");
+
+    var configText = options.configPath ? readText(options.configPath) : null;
+
+    watchHars();
+    function watchHars() {
+        // The directories themselves are watched to notice added and removed files
+        var paths = harPaths.slice();
+        try {
+            loadHar.expandPaths(harPaths).forEach(function (file) {
+                if (paths.indexOf(file) === -1) {
+                    paths.push(file);
+                }
+            });
+        } catch (e) {
+            // A path is missing for now, watching it will notice its return
+        }
+        paths.forEach(function (path) {
+            if (!isWatched(path)) {
+                watch(path, reloadHars);
+            }
+        });
+    }
+
+    function reloadHars() {
+        loadHar(harPaths, function (err, har) {
+            if (err) {
+                console.error("Error: Could not reload", harDescription + ", still serving the previous version:", err.message);
+                return;
+            }
+            var change = describeHarChange(replayServer.getEntries(), har.log.entries);
+            try {
+                replayServer.setHar(har);
+            } catch (e) {
+                console.error("Error: Could not reload", harDescription + ", still serving the previous version:", e.message);
+                return;
+            }
+            console.log("Reloaded", harDescription + ":", change);
+            watchHars();
+        });
+    }
+
+    if (options.configPath) {
+        watch(options.configPath, function () {
+            var text = readText(options.configPath);
+            // Editors can delete the file before writing it again
+            if (text === null) {
+                console.error("Error: Could not read", options.configPath + ", still using the previous version");
+                return;
+            }
+            var config;
+            try {
+                config = options.loadConfig(text);
+            } catch (e) {
+                console.error("Error: Could not reload", options.configPath + ", still using the previous version:", e.message);
+                return;
+            }
+            var change = describeConfigChange(configText, text);
+            configText = text;
+            replayServer.setConfig(config);
+            console.log("Reloaded", options.configPath + ":", change);
+        });
+    }
+
+    function watch(path, reload) {
+        var listener = function (current, previous) {
+            if (current.mtime.getTime() !== previous.mtime.getTime() || current.size !== previous.size) {
+                reload();
+            }
+        };
+        fs.watchFile(path, {interval: interval, persistent: true}, listener);
+        watched.push({path: path, listener: listener});
+    }
+
+    function isWatched(path) {
+        return watched.some(function (w) {
+            return w.path === path;
+        });
+    }
+
+    function readText(path) {
+        try {
+            return fs.readFileSync(path, "utf8");
+        } catch (e) {
+            return null;
+        }
+    }
+
+    return {
+        close: function () {
+            watched.forEach(function (w) {
+                fs.unwatchFile(w.path, w.listener);
+            });
+            watched = [];
+        }
+    };
+};
+
+module.exports.describeHarChange = describeHarChange;
+function describeHarChange(oldEntries, newEntries) {
+    function count(entries) {
+        var counts = {};
+        entries.forEach(function (entry) {
+            var key = entry.request.method + " " + entry.request.url;
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+    var oldCounts = count(oldEntries);
+    var newCounts = count(newEntries);
+
+    var added = [];
+    var removed = [];
+    Object.keys(newCounts).forEach(function (key) {
+        for (var i = oldCounts[key] || 0; i < newCounts[key]; i++) {
+            added.push(key);
+        }
+    });
+    Object.keys(oldCounts).forEach(function (key) {
+        for (var i = newCounts[key] || 0; i < oldCounts[key]; i++) {
+            removed.push(key);
+        }
+    });
+
+    var description = newEntries.length + " entries";
+    if (added.length || removed.length) {
+        description += ", " + added.length + " added, " + removed.length + " removed";
+        added.slice(0, 5).forEach(function (key) {
+            description += "\n  + " + key;
+        });
+        removed.slice(0, 5).forEach(function (key) {
+            description += "\n  - " + key;
+        });
+        if (added.length > 5 || removed.length > 5) {
+            description += "\n  ...";
+        }
+    } else {
+        description += ", same requests as before";
+    }
+    return description;
+}
+
+module.exports.describeConfigChange = describeConfigChange;
+function describeConfigChange(oldText, newText) {
+    var oldConfig, newConfig;
+    try {
+        oldConfig = parseConfig.readJson(oldText);
+    } catch (e) {
+        oldConfig = {};
+    }
+    try {
+        newConfig = parseConfig.readJson(newText);
+    } catch (e) {
+        // A config module
+        return "changed";
+    }
+
+    var changed = [];
+    Object.keys(oldConfig).concat(Object.keys(newConfig)).forEach(function (key) {
+        if (changed.indexOf(key) === -1 && JSON.stringify(oldConfig[key]) !== JSON.stringify(newConfig[key])) {
+            changed.push(key);
+        }
+    });
+    return changed.length ? changed.join(", ") + " changed" : "no changes";
+}
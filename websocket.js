@@ -0,0 +1,119 @@
+/*
+ * Copyright (c) 2015 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Chrome records the frames of a WebSocket on its upgrade entry, as
+// `_webSocketMessages`: [{type: "send" | "receive", time, opcode, data}]
+// where `time` is in seconds, and binary data (opcode 2) is base64 encoded
+
+var BINARY = 2;
+
+/**
+ * @param  {Object} entry
+ * @return {boolean} Whether the entry is a recorded WebSocket upgrade
+ */
+exports.isWebSocket = function (entry) {
+    return entry.response.status === 101 || Array.isArray(entry._webSocketMessages);
+};
+
+/**
+ * Sends the frames the server sent in `entry` over `ws`, as far apart as
+ * they were recorded. Frames the client sent are skipped, or with
+ * `waitForClient` waited for, so that the server frames recorded after one
+ * are only sent once the client has sent as many frames. The connection is
+ * left open after the last frame.
+ * @param {WebSocket} ws
+ * @param {Object} entry
+ * @param {Object} options
+ * @param {number} [options.speed] Multiplier, 2 replays twice as fast
+ * @param {boolean} [options.waitForClient]
+ * @param {boolean} [options.debug]
+ */
+exports.replay = function (ws, entry, options) {
+    var messages = entry._webSocketMessages || [];
+    var speed = options.speed || 1;
+    var index = 0;
+    var timer = null;
+    var closed = false;
+    var waiting = false;
+    // When each client frame arrived
+    var arrivals = [];
+    var awaited = 0;
+
+    // Recorded times are relative to the end of the handshake, or to the
+    // first frame if they don't fit the recorded handshake
+    var recordedStart = messages.length ? messages[0].time : 0;
+    var started = Date.parse(entry.startedDateTime);
+    if (!isNaN(started)) {
+        var handshakeEnd = (started + Math.max(0, entry.time || 0)) / 1000;
+        recordedStart = Math.min(recordedStart, handshakeEnd);
+    }
+    var start = Date.now();
+
+    ws.on("message", function (data) {
+        arrivals.push(Date.now());
+        if (options.debug) {
+            console.log("WebSocket", entry.request.url, "received", data.length, "bytes");
+        }
+        if (waiting) {
+            next();
+        }
+    });
+    ws.on("close", function () {
+        closed = true;
+        clearTimeout(timer);
+    });
+    ws.on("error", function (err) {
+        if (options.debug) {
+            console.error("Error: WebSocket", entry.request.url, "failed:", err.message);
+        }
+    });
+
+    next();
+    function next() {
+        waiting = false;
+        while (!closed && index < messages.length && messages[index].type === "send") {
+            if (options.waitForClient) {
+                if (awaited === arrivals.length) {
+                    waiting = true;
+                    return;
+                }
+                // Later frames are timed from when the client actually sent this one
+                start = arrivals[awaited];
+                recordedStart = messages[index].time;
+                awaited++;
+            }
+            index++;
+        }
+        if (closed || index === messages.length) {
+            return;
+        }
+
+        var message = messages[index];
+        var delay = start + (message.time - recordedStart) * 1000 / speed - Date.now();
+        timer = setTimeout(function () {
+            if (closed) {
+                return;
+            }
+            if (message.opcode === BINARY) {
+                ws.send(new Buffer(message.data || "", "base64"), {binary: true});
+            } else {
+                ws.send(message.data || "");
+            }
+            index++;
+            next();
+        }, Math.max(0, delay));
+    }
+};